@@ -49,15 +49,15 @@ const AIHealthAssistant = {
     }
     
     const recentEntries = entries.slice(0, 7);
-    const avgSleep = recentEntries.reduce((sum, e) => sum + (e.sleep || 0), 0) / 7;
-    const avgSteps = recentEntries.reduce((sum, e) => sum + (e.steps || 0), 0) / 7;
-    const avgHR = recentEntries.reduce((sum, e) => sum + (e.heartRate || 0), 0) / 7;
-    const avgWater = recentEntries.reduce((sum, e) => sum + (e.water || 0), 0) / 7;
+    const avgSleep = StorageManager.aggregateEntries(recentEntries, 'sleep') || 0;
+    const avgSteps = StorageManager.aggregateEntries(recentEntries, 'steps') || 0;
+    const avgHR = StorageManager.aggregateEntries(recentEntries, 'heartRate') || 0;
+    const avgWater = StorageManager.aggregateEntries(recentEntries, 'water') || 0;
     
     // Simple rule-based risk detection
     risks.sleepDeprivation = avgSleep < 6.5;
     risks.cardiovascular = avgHR > 90 || avgHR < 55;
-    risks.dehydration = avgWater < 4;
+    risks.dehydration = avgWater < 1000; // ml
     risks.sedentary = avgSteps < 4000;
     
     risks.confidence = 0.7; // Placeholder confidence score
@@ -81,7 +81,7 @@ const AIHealthAssistant = {
       weeklyGoals: {
         steps: 70000,
         sleep: 56,
-        water: 56
+        water: 14000 // ml
       },
       recommendations: [
         '🏃‍♂️ Aim for 10,000 steps daily',
@@ -113,7 +113,7 @@ const AIHealthAssistant = {
     
     const recentScores = entries.slice(0, 5).map(e => {
       // Calculate basic score
-      return Math.min(100, (e.steps / 100) + (e.sleep * 10) + (e.water * 5));
+      return Math.min(100, (e.steps / 100) + (e.sleep * 10) + (e.water / 50));
     });
     
     const avgScore = recentScores.reduce((a, b) => a + b, 0) / recentScores.length;
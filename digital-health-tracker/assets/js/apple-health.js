@@ -0,0 +1,189 @@
+// apple-health.js - Apple Health import for Digital Health Tracker
+// Streams export.xml (or the export.zip it comes in) into daily entries
+
+/**
+ * Apple Health Import
+ * The Health app's "Export All Health Data" writes export.zip with
+ * apple_health_export/export.xml inside, one <Record> element per sample.
+ * Exports run to hundreds of MB, so the file is never read whole: it is
+ * streamed (inflated on the way for the zip) and records are folded into
+ * per-day totals chunk by chunk, yielding to the page between chunks.
+ *
+ * Days are aggregated by ImportManager's collector: steps, water and
+ * active energy keep the source with the largest daily total, heart rate
+ * and blood pressure are the mean of the day's samples, weight the last
+ * weigh-in, and sleep the union of asleep intervals from all sources (in
+ * bed when nothing recorded sleep stages) on the day the sleep ended.
+ * Blood pressure readings appear both inside their correlation and on
+ * their own, so identical samples are counted once.
+ *
+ * The resulting entries go through ImportManager's dry run and save.
+ */
+const AppleHealthImport = {
+  // Record types read and the entry field of each
+  TYPES: {
+    HKQuantityTypeIdentifierStepCount: { field: 'steps' },
+    HKQuantityTypeIdentifierDietaryWater: { field: 'water' },
+    HKQuantityTypeIdentifierActiveEnergyBurned: { field: 'caloriesBurned' },
+    HKQuantityTypeIdentifierHeartRate: { field: 'heartRate' },
+    HKQuantityTypeIdentifierBloodPressureSystolic: { field: 'systolic', unique: true },
+    HKQuantityTypeIdentifierBloodPressureDiastolic: { field: 'diastolic', unique: true },
+    HKQuantityTypeIdentifierBodyMass: { field: 'weight' },
+    HKCategoryTypeIdentifierSleepAnalysis: { field: 'sleep' }
+  },
+  
+  // Apple Health units -> canonical units of each field
+  UNITS: {
+    water: { mL: 1, L: 1000, fl_oz_us: 29.5735, fl_oz_imp: 28.4131, cup_us: 236.588 },
+    caloriesBurned: { kcal: 1, Cal: 1, kJ: 1 / 4.184 },
+    weight: { kg: 1, g: 0.001, lb: 0.45359237, st: 6.35029318 }
+  },
+  
+  // Sleep category values that count as asleep; anything else but
+  // in bed (awake) is ignored
+  ASLEEP_VALUES: [
+    'HKCategoryValueSleepAnalysisAsleep',
+    'HKCategoryValueSleepAnalysisAsleepUnspecified',
+    'HKCategoryValueSleepAnalysisAsleepCore',
+    'HKCategoryValueSleepAnalysisAsleepDeep',
+    'HKCategoryValueSleepAnalysisAsleepREM'
+  ],
+  IN_BED_VALUE: 'HKCategoryValueSleepAnalysisInBed',
+  
+  // Longest the parser runs before letting the page update, in ms
+  YIELD_INTERVAL: 50,
+  
+  ENTITIES: { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" },
+  
+  /**
+   * Read an export.zip or export.xml File into daily entries (see
+   * ImportManager.finishCollector). `onProgress` gets the fraction of
+   * the file read (0-1).
+   */
+  async parseFile(file, onProgress = () => {}) {
+    let stream = file.stream();
+    let size = file.size;
+    let deflated = false;
+    if (await ImportManager.isZip(file)) {
+      const entry = (await ImportManager.listZip(file)).find(item => item.name === 'export.xml' || item.name.endsWith('/export.xml'));
+      if (!entry) throw new Error('No export.xml in this zip file');
+      stream = await ImportManager.openZipEntry(file, entry);
+      size = entry.size;
+      deflated = entry.method === 8;
+    }
+    
+    const collector = ImportManager.createCollector();
+    const seen = new Set();
+    let read = 0;
+    const counter = new TransformStream({
+      transform(chunk, controller) {
+        read += chunk.byteLength;
+        controller.enqueue(chunk);
+      }
+    });
+    const counted = stream.pipeThrough(counter);
+    const reader = (deflated ? counted.pipeThrough(new DecompressionStream('deflate-raw')) : counted)
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+    
+    let buffer = '';
+    let lastYield = performance.now();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer = this.parseChunk(buffer + value, attributes => this.addRecord(collector, seen, attributes));
+      
+      if (performance.now() - lastYield > this.YIELD_INTERVAL) {
+        onProgress(Math.min(read / size, 1));
+        await new Promise(resolve => setTimeout(resolve, 0));
+        lastYield = performance.now();
+      }
+    }
+    onProgress(1);
+    
+    if (collector.records === 0 && collector.skipped === 0) {
+      throw new Error('No Apple Health records found in this file');
+    }
+    return ImportManager.finishCollector(collector);
+  },
+  
+  /**
+   * Call `onRecord` with the attributes of each complete <Record> start
+   * tag in `text`; returns the unparsed rest to prepend to the next chunk
+   */
+  parseChunk(text, onRecord) {
+    let position = 0;
+    for (;;) {
+      const start = text.indexOf('<Record ', position);
+      if (start === -1) {
+        // Keep a tag cut off at the end of the chunk
+        return text.slice(Math.max(position, text.length - 8));
+      }
+      const end = text.indexOf('>', start);
+      if (end === -1) return text.slice(start);
+      onRecord(this.parseAttributes(text.slice(start + 8, end)));
+      position = end + 1;
+    }
+  },
+  
+  parseAttributes(tag) {
+    const attributes = {};
+    for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+      attributes[name] = value.includes('&') ? this.decodeEntities(value) : value;
+    }
+    return attributes;
+  },
+  
+  decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+      }
+      return this.ENTITIES[entity] ?? match;
+    });
+  },
+  
+  /**
+   * Milliseconds since the epoch of an export timestamp
+   * ('2024-03-09 07:30:00 +0530')
+   */
+  parseTimestamp(value) {
+    const match = String(value).match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+    return match ? Date.parse(`${match[1]}T${match[2]}${match[3]}:${match[4]}`) : NaN;
+  },
+  
+  /**
+   * Collect one record on the day it belongs to: the local date the
+   * sample was taken, as written in the export
+   */
+  addRecord(collector, seen, { type, sourceName = '', unit, value, startDate = '', endDate = '' }) {
+    const spec = this.TYPES[type];
+    if (!spec) return;
+    
+    if (spec.field === 'sleep') {
+      const asleep = this.ASLEEP_VALUES.includes(value);
+      if (!asleep && value !== this.IN_BED_VALUE) return;
+      ImportManager.collectSleep(collector, endDate.slice(0, 10), this.parseTimestamp(startDate), this.parseTimestamp(endDate), !asleep);
+      return;
+    }
+    
+    if (spec.unique) {
+      const key = `${type}|${startDate}|${value}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+    }
+    const units = this.UNITS[spec.field];
+    ImportManager.collect(collector, startDate.slice(0, 10), spec.field, Number(value) * (units ? units[unit] : 1), {
+      source: sourceName,
+      time: this.parseTimestamp(startDate)
+    });
+  }
+};
+
+// Expose to window
+window.AppleHealthImport = AppleHealthImport;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AppleHealthImport;
+}
@@ -1,12 +1,16 @@
 // Authentication System - Email/Password Login with Database
 // Secure user authentication and session management
 
-class AuthSystem {
+class AuthManager {
   constructor() {
     this.currentUser = null;
     this.sessionKey = 'healthTracker_session';
     this.usersKey = 'healthTracker_users';
     this.initialized = false;
+    // Unlocked data key of an encrypted account (see CryptoManager)
+    this.dataKey = null;
+    // Resolves once an encrypted session's profile has been decrypted
+    this.ready = Promise.resolve();
   }
 
   /**
@@ -74,7 +78,7 @@ class AuthSystem {
         },
         goals: {
           steps: 10000,
-          water: 8,
+          water: 2000, // ml
           sleep: 7,
           calories: 2200,
           exercise: 30
@@ -144,7 +148,7 @@ class AuthSystem {
       },
       goals: {
         steps: 10000,
-        water: 8,
+        water: 2000, // ml
         sleep: 7,
         calories: 2000,
         exercise: 30
@@ -159,10 +163,11 @@ class AuthSystem {
   }
 
   /**
-   * Login user
+   * Login user. For encrypted accounts this also unlocks the data key,
+   * so it resolves once the user's data is readable.
    */
-  login(email, password) {
-    const user = this.getUserByEmail(email.toLowerCase());
+  async login(email, password) {
+    let user = this.getUserByEmail(email.toLowerCase());
     
     if (!user) {
       return { success: false, error: 'User not found' };
@@ -174,23 +179,69 @@ class AuthSystem {
       return { success: false, error: 'Incorrect password' };
     }
     
+    if (user.encryption) {
+      try {
+        user = await this.unlock(user, password);
+      } catch (error) {
+        console.error('[AuthSystem] Failed to unlock encrypted data:', error);
+        return { success: false, error: 'Could not unlock your encrypted data' };
+      }
+    }
+    
     // Update last login
     user.lastLogin = Date.now();
-    this.saveUser(user);
+    await this.saveUser(user);
     
     // Create session
-    this.createSession(user);
+    await this.createSession(user);
     
     return { success: true, user: this.sanitizeUser(user) };
   }
 
+  /**
+   * Unwrap an encrypted account's data key with its password, keep it
+   * for this tab and return the decrypted user record
+   */
+  async unlock(user, password) {
+    const dataKey = await CryptoManager.unwrapDataKey(user.encryption.password, password);
+    await CryptoManager.rememberKey(dataKey);
+    this.dataKey = dataKey;
+    return this.openUser(user, dataKey);
+  }
+
+  /**
+   * True when the session belongs to an encrypted account whose data key
+   * hasn't been unlocked in this tab (e.g. a newly opened tab)
+   */
+  isLocked() {
+    return !!(this.currentUser && this.currentUser.encryption &&
+      (typeof CryptoManager === 'undefined' || !CryptoManager.hasRememberedKey()));
+  }
+
+  /**
+   * Whether the current account encrypts its data at rest
+   */
+  isEncryptionEnabled() {
+    return !!(this.currentUser && this.currentUser.encryption);
+  }
+
   /**
    * Logout current user
    */
   logout() {
     this.currentUser = null;
+    this.dataKey = null;
     localStorage.removeItem(this.sessionKey);
+    if (typeof CryptoManager !== 'undefined') {
+      CryptoManager.forgetKey();
+    }
     console.log('[AuthSystem] User logged out');
+    
+    // Stop reading the previous user's health data
+    if (typeof StorageManager !== 'undefined') {
+      return StorageManager.switchUser(null);
+    }
+    return Promise.resolve();
   }
 
   /**
@@ -208,7 +259,8 @@ class AuthSystem {
   }
 
   /**
-   * Create session
+   * Create session and switch health data storage to this user.
+   * Resolves once the user's data partition is ready.
    */
   createSession(user) {
     this.currentUser = user;
@@ -219,6 +271,28 @@ class AuthSystem {
       expiresAt: Date.now() + (7 * 24 * 60 * 60 * 1000) // 7 days
     };
     localStorage.setItem(this.sessionKey, JSON.stringify(session));
+    
+    if (typeof StorageManager !== 'undefined') {
+      return StorageManager.switchUser(user.id, this.getStorageSeed(user));
+    }
+    return Promise.resolve();
+  }
+  
+  /**
+   * Initial StorageManager data for a user's empty partition
+   */
+  getStorageSeed(user) {
+    const goals = { ...user.goals };
+    // Accounts created before water was stored in ml have a goal in glasses
+    if (goals.water !== undefined && goals.water < 100) {
+      goals.water *= 250;
+    }
+    
+    return {
+      user: { ...user.profile, email: user.email },
+      goals,
+      settings: user.preferences
+    };
   }
 
   /**
@@ -243,6 +317,9 @@ class AuthSystem {
       
       if (user) {
         this.currentUser = user;
+        if (user.sealed) {
+          this.ready = this.restoreEncryptedUser(user);
+        }
         console.log('[AuthSystem] Session restored for:', user.email);
         return true;
       }
@@ -255,9 +332,50 @@ class AuthSystem {
   }
 
   /**
-   * Save user to database
+   * Decrypt the restored session's user with the key unlocked at login
    */
-  saveUser(user) {
+  async restoreEncryptedUser(user) {
+    try {
+      const dataKey = typeof CryptoManager !== 'undefined' ? await CryptoManager.restoreKey() : null;
+      if (!dataKey) {
+        console.warn('[AuthSystem] Encrypted account is locked, log in again to unlock it');
+        return;
+      }
+      this.dataKey = dataKey;
+      this.currentUser = await this.openUser(user, dataKey);
+    } catch (error) {
+      console.error('[AuthSystem] Failed to decrypt user record:', error);
+    }
+  }
+
+  /**
+   * Encrypt the sensitive parts of a user record. Email, password hash,
+   * goals and preferences stay readable so login works while locked.
+   */
+  async sealUser(user, dataKey) {
+    const { profile, healthData, sealed, ...record } = user;
+    return { ...record, sealed: await CryptoManager.encrypt(dataKey, { profile, healthData }) };
+  }
+
+  async openUser(user, dataKey) {
+    if (!user.sealed) return user;
+    const { sealed, ...record } = user;
+    return { ...record, ...(await CryptoManager.decrypt(dataKey, sealed)) };
+  }
+
+  /**
+   * Save user to database. Decrypted records of encrypted accounts are
+   * sealed first, so this resolves once the write has happened.
+   */
+  async saveUser(user) {
+    const hasPlainData = user.profile !== undefined || user.healthData !== undefined;
+    if (user.encryption && hasPlainData) {
+      if (!this.dataKey) {
+        throw new Error('Cannot save an encrypted account while it is locked');
+      }
+      user = await this.sealUser(user, this.dataKey);
+    }
+    
     const users = this.getAllUsers();
     const index = users.findIndex(u => u.id === user.id);
     
@@ -298,32 +416,58 @@ class AuthSystem {
    * Update user profile
    */
   updateProfile(userId, updates) {
-    const user = this.getUserById(userId);
+    // The current user is kept decrypted in memory
+    const user = this.currentUser && this.currentUser.id === userId ? this.currentUser : this.getUserById(userId);
     
     if (!user) {
       return { success: false, error: 'User not found' };
     }
     
+    if (user.sealed) {
+      return { success: false, error: 'Account is locked' };
+    }
+    
     // Merge updates
     user.profile = { ...user.profile, ...updates.profile };
     user.healthData = { ...user.healthData, ...updates.healthData };
     user.preferences = { ...user.preferences, ...updates.preferences };
     user.goals = { ...user.goals, ...updates.goals };
     
-    this.saveUser(user);
+    this.saveUser(user).catch(error => {
+      console.error('[AuthSystem] Failed to save profile:', error);
+    });
     
     // Update current user if it's the same
     if (this.currentUser && this.currentUser.id === userId) {
       this.currentUser = user;
+      this.syncStorage(updates);
     }
     
     return { success: true, user: this.sanitizeUser(user) };
   }
 
   /**
-   * Change password
+   * Mirror profile, goal and preference changes into the current user's
+   * StorageManager partition, which the dashboard pages read from
    */
-  changePassword(userId, oldPassword, newPassword) {
+  syncStorage(updates) {
+    if (typeof StorageManager === 'undefined') return Promise.resolve();
+    
+    const writes = [];
+    if (updates.profile) writes.push(StorageManager.updateUserProfile(updates.profile));
+    if (updates.goals) writes.push(StorageManager.updateGoals(updates.goals));
+    if (updates.preferences) writes.push(StorageManager.updateSettings(updates.preferences));
+    
+    return Promise.all(writes).catch(error => {
+      console.error('[AuthSystem] Failed to sync profile to storage:', error);
+    });
+  }
+
+  /**
+   * Change password. For encrypted accounts only the data key is
+   * re-wrapped with the new password; the data itself is unchanged.
+   */
+  async changePassword(userId, oldPassword, newPassword) {
     const user = this.getUserById(userId);
     
     if (!user) {
@@ -343,12 +487,156 @@ class AuthSystem {
       };
     }
     
+    if (user.encryption) {
+      try {
+        const dataKey = await CryptoManager.unwrapDataKey(user.encryption.password, oldPassword);
+        user.encryption = { ...user.encryption, password: await CryptoManager.wrapDataKey(dataKey, newPassword) };
+      } catch (error) {
+        console.error('[AuthSystem] Failed to re-key encrypted data:', error);
+        return { success: false, error: 'Could not re-key your encrypted data' };
+      }
+    }
+    
     user.password = this.hashPassword(newPassword);
-    this.saveUser(user);
+    await this.saveUser(user);
+    this.refreshCurrentUser(user);
     
     return { success: true, message: 'Password changed successfully' };
   }
 
+  /**
+   * Encrypt the current account's health data and profile with a key
+   * protected by the account password. Resolves with a recovery key that
+   * must be shown to the user once - it is the only way back in if the
+   * password is forgotten.
+   */
+  async enableEncryption(password) {
+    const user = this.currentUser && this.getUserById(this.currentUser.id);
+    
+    if (!user) {
+      return { success: false, error: 'Not logged in' };
+    }
+    if (user.password !== this.hashPassword(password)) {
+      return { success: false, error: 'Incorrect password' };
+    }
+    if (user.encryption) {
+      return { success: false, error: 'Encryption is already enabled' };
+    }
+    if (typeof CryptoManager === 'undefined' || !CryptoManager.isSupported()) {
+      return { success: false, error: 'Encryption is not supported in this browser' };
+    }
+    
+    let encrypted = false;
+    try {
+      const { dataKey, recoveryKey, keyring } = await CryptoManager.createKeyring(password);
+      // Store the keyring before anything is encrypted with its key, or
+      // a failed save would leave data sealed with a key only this tab has
+      this.dataKey = dataKey;
+      const encryptedUser = { ...user, encryption: keyring };
+      await this.saveUser(encryptedUser);
+      
+      if (typeof StorageManager !== 'undefined') {
+        try {
+          await StorageManager.enableEncryption(dataKey);
+        } catch (error) {
+          // The data is still plain: put the account back as it was
+          await this.saveUser(user);
+          throw error;
+        }
+      }
+      encrypted = true;
+      this.currentUser = encryptedUser;
+      await CryptoManager.rememberKey(dataKey);
+      
+      console.log('[AuthSystem] Encryption enabled for:', user.email);
+      return { success: true, recoveryKey };
+    } catch (error) {
+      if (!encrypted) this.dataKey = null;
+      console.error('[AuthSystem] Failed to enable encryption:', error);
+      return { success: false, error: 'Failed to encrypt your data' };
+    }
+  }
+
+  /**
+   * Decrypt the current account's data and stop encrypting it
+   */
+  async disableEncryption(password) {
+    const user = this.currentUser;
+    
+    if (!user || !user.encryption) {
+      return { success: false, error: 'Encryption is not enabled' };
+    }
+    if (user.sealed) {
+      return { success: false, error: 'Account is locked' };
+    }
+    if (user.password !== this.hashPassword(password)) {
+      return { success: false, error: 'Incorrect password' };
+    }
+    
+    try {
+      if (typeof StorageManager !== 'undefined') {
+        await StorageManager.disableEncryption();
+      }
+      const { encryption, ...plainUser } = user;
+      await this.saveUser(plainUser);
+      this.currentUser = plainUser;
+      this.dataKey = null;
+      CryptoManager.forgetKey();
+      
+      console.log('[AuthSystem] Encryption disabled for:', user.email);
+      return { success: true };
+    } catch (error) {
+      console.error('[AuthSystem] Failed to disable encryption:', error);
+      return { success: false, error: 'Failed to decrypt your data' };
+    }
+  }
+
+  /**
+   * Regain access to an encrypted account with its recovery key and set
+   * a new password. A new recovery key replaces the used one.
+   */
+  async recoverAccount(email, recoveryKey, newPassword) {
+    const user = this.getUserByEmail(email.toLowerCase());
+    
+    if (!user || !user.encryption) {
+      return { success: false, error: 'No encrypted account found for this email' };
+    }
+    if (!this.validatePassword(newPassword)) {
+      return { 
+        success: false, 
+        error: 'New password must be at least 8 characters with uppercase, lowercase, and number' 
+      };
+    }
+    
+    let dataKey;
+    try {
+      dataKey = await CryptoManager.unwrapDataKey(user.encryption.recovery, CryptoManager.normalizeRecoveryKey(recoveryKey));
+    } catch (error) {
+      return { success: false, error: 'Recovery key is incorrect' };
+    }
+    
+    const newRecoveryKey = CryptoManager.generateRecoveryKey();
+    user.encryption = {
+      ...user.encryption,
+      password: await CryptoManager.wrapDataKey(dataKey, newPassword),
+      recovery: await CryptoManager.wrapDataKey(dataKey, CryptoManager.normalizeRecoveryKey(newRecoveryKey))
+    };
+    user.password = this.hashPassword(newPassword);
+    await this.saveUser(user);
+    
+    console.log('[AuthSystem] Account recovered for:', user.email);
+    return { success: true, recoveryKey: newRecoveryKey };
+  }
+
+  /**
+   * Copy auth fields of a saved record onto the decrypted current user
+   */
+  refreshCurrentUser(user) {
+    if (this.currentUser && this.currentUser.id === user.id) {
+      this.currentUser = { ...this.currentUser, password: user.password, encryption: user.encryption };
+    }
+  }
+
   /**
    * Validate email format
    */
@@ -372,7 +660,7 @@ class AuthSystem {
    * Remove sensitive data from user object
    */
   sanitizeUser(user) {
-    const { password, ...sanitized } = user;
+    const { password, encryption, sealed, ...sanitized } = user;
     return sanitized;
   }
 
@@ -396,6 +684,13 @@ class AuthSystem {
     const filtered = users.filter(u => u.id !== userId);
     localStorage.setItem(this.usersKey, JSON.stringify(filtered));
     
+    // Remove the user's health data partition
+    if (typeof StorageManager !== 'undefined') {
+      StorageManager.deleteUserData(userId).catch(error => {
+        console.error('[AuthSystem] Failed to delete health data:', error);
+      });
+    }
+    
     // Logout if current user
     if (this.currentUser && this.currentUser.id === userId) {
       this.logout();
@@ -422,5 +717,6 @@ class AuthSystem {
   }
 }
 
-// Global instance
-window.AuthSystem = new AuthSystem();
+// Global instance (the class has its own name so it doesn't shadow window.AuthSystem)
+window.AuthSystem = new AuthManager();
+window.AuthSystem.init();
@@ -0,0 +1,194 @@
+// body-composition.js - Weight and body composition log for Digital Health Tracker
+// Dated weigh-ins, a smoothed weight trend, BMI over time and goal progress
+
+/**
+ * Body Composition
+ * Weight, body fat % and waist are ordinary metrics (see
+ * StorageManager.METRIC_ROLLUPS): one measurement per day, with undo,
+ * history and encryption like every other entry value.
+ *
+ * Day-to-day weight swings by a kilo or more with water and food, so
+ * progress is read from an exponential moving average rather than the
+ * raw weigh-ins. BMI comes from MedicalAI.calculateBMI at each weigh-in.
+ */
+const BodyComposition = {
+  METRICS: ['weight', 'bodyFat', 'waist'],
+  // Share of the gap between a weigh-in and the trend closed per day
+  TREND_SMOOTHING: 0.1,
+  // Days of trend used to estimate the current rate of change
+  RATE_WINDOW: 28,
+  // Projections further out than this are not shown
+  MAX_PROJECTION_DAYS: 730,
+  
+  medicalAI: null,
+  
+  /**
+   * Log a day's measurements, replacing any earlier ones for that day.
+   * The latest weigh-in also becomes the profile weight and BMI.
+   */
+  async logMeasurement({ date = DateUtils.today(), weight, bodyFat, waist }) {
+    const values = Object.fromEntries(
+      Object.entries({ weight, bodyFat, waist }).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    if (Object.keys(values).length === 0) {
+      throw new Error('Enter at least one measurement');
+    }
+    
+    if (!(await StorageManager.saveEntry({ date, ...values }))) {
+      throw new Error('Failed to save measurement');
+    }
+    
+    if (values.weight !== undefined) {
+      const history = await this.getHistory();
+      const latest = history.filter(point => point.weight !== undefined).pop();
+      if (latest && latest.date === date) {
+        await this.updateProfileWeight(latest.weight);
+      }
+    }
+    return true;
+  },
+  
+  /**
+   * Keep the profile weight and the account's healthData.bmi (read by
+   * the chatbot) in step with the latest weigh-in
+   */
+  async updateProfileWeight(weight) {
+    if (typeof AuthSystem !== 'undefined') await AuthSystem.ready;
+    const user = typeof AuthSystem !== 'undefined' ? AuthSystem.getCurrentUser() : null;
+    if (!user) {
+      await StorageManager.updateUserProfile({ weight });
+      return;
+    }
+    
+    const height = user.profile && user.profile.height;
+    const healthData = height ? { bmi: Number(this.getMedicalAI().calculateBMI(weight, height).bmi) } : {};
+    AuthSystem.updateProfile(user.id, { profile: { weight }, healthData });
+  },
+  
+  getMedicalAI() {
+    this.medicalAI = this.medicalAI || new MedicalAI();
+    return this.medicalAI;
+  },
+  
+  /**
+   * Days with any body measurement (oldest first), optionally limited
+   * to the last `days` days
+   */
+  async getHistory(days = null) {
+    const entries = days ? await StorageManager.getLastNDays(days) : await StorageManager.getEntries();
+    return entries
+      .filter(entry => this.METRICS.some(metric => typeof entry[metric] === 'number'))
+      .map(entry => {
+        const point = { date: entry.date };
+        this.METRICS.forEach(metric => {
+          if (typeof entry[metric] === 'number') point[metric] = entry[metric];
+        });
+        return point;
+      })
+      .reverse();
+  },
+  
+  /**
+   * Exponential moving average of a metric over a history (oldest
+   * first). Gaps between weigh-ins count as several days of smoothing,
+   * so a weigh-in after a break pulls the trend further.
+   * Returns [{ date, value, trend }].
+   */
+  getTrend(history, metric = 'weight') {
+    let trend = null;
+    let previousDate = null;
+    
+    return history
+      .filter(point => typeof point[metric] === 'number')
+      .map(point => {
+        const value = point[metric];
+        if (trend === null) {
+          trend = value;
+        } else {
+          const days = Math.max(1, DateUtils.daysBetween(previousDate, point.date));
+          const alpha = 1 - Math.pow(1 - this.TREND_SMOOTHING, days);
+          trend += alpha * (value - trend);
+        }
+        previousDate = point.date;
+        return { date: point.date, value, trend: Math.round(trend * 100) / 100 };
+      });
+  },
+  
+  /**
+   * BMI at every weigh-in for a height in cm.
+   * Returns [{ date, weight, bmi, category }].
+   */
+  getBMIHistory(history, height) {
+    if (!height) return [];
+    
+    return history
+      .filter(point => typeof point.weight === 'number')
+      .map(point => {
+        const { bmi, category } = this.getMedicalAI().calculateBMI(point.weight, height);
+        return { date: point.date, weight: point.weight, bmi: Number(bmi), category };
+      });
+  },
+  
+  /**
+   * Progress from the first weigh-in towards a goal weight, with the
+   * current weekly rate and the date the trend reaches the goal at that
+   * rate (null while it is flat or heading away from the goal).
+   */
+  getGoalProgress(trend, goal) {
+    if (!goal || trend.length === 0) return null;
+    
+    const start = trend[0].trend;
+    const last = trend[trend.length - 1];
+    const current = last.trend;
+    const remaining = Math.round((goal - current) * 10) / 10;
+    const total = goal - start;
+    const progress = total === 0 ? 100 : Math.max(0, Math.min(100, Math.round((current - start) / total * 100)));
+    
+    const perDay = this.getRate(trend.filter(point => DateUtils.daysBetween(point.date, last.date) < this.RATE_WINDOW));
+    let projectedDate = null;
+    if (remaining === 0) {
+      projectedDate = last.date;
+    } else if (perDay !== null && Math.sign(perDay) === Math.sign(remaining)) {
+      const days = Math.ceil(remaining / perDay);
+      if (days <= this.MAX_PROJECTION_DAYS) {
+        projectedDate = DateUtils.addDays(last.date, days);
+      }
+    }
+    
+    return {
+      start,
+      current,
+      goal,
+      remaining,
+      progress,
+      ratePerWeek: perDay === null ? null : Math.round(perDay * 7 * 100) / 100,
+      projectedDate
+    };
+  },
+  
+  /**
+   * Least-squares slope of the trend in kg per day (null with fewer
+   * than two weigh-ins)
+   */
+  getRate(trend) {
+    if (trend.length < 2) return null;
+    
+    const origin = trend[0].date;
+    const xs = trend.map(point => DateUtils.daysBetween(origin, point.date));
+    const ys = trend.map(point => point.trend);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    const spread = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    if (spread === 0) return null;
+    
+    return xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / spread;
+  }
+};
+
+// Expose to window
+window.BodyComposition = BodyComposition;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BodyComposition;
+}
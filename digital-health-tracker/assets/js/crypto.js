@@ -0,0 +1,179 @@
+// crypto.js - Encryption at rest for Digital Health Tracker
+// WebCrypto helpers used by StorageManager and AuthSystem
+
+/**
+ * Crypto Manager
+ * Envelope encryption: a random AES-GCM data key encrypts the health data.
+ * That key is stored only in wrapped form - once with a key derived from
+ * the account password (PBKDF2) and once with a one-time recovery key.
+ * Changing the password re-wraps the data key; nothing is re-encrypted.
+ *
+ * The unwrapped key is kept in sessionStorage so it survives navigation
+ * between pages but is gone when the tab closes or the user logs out.
+ */
+const CryptoManager = {
+  PBKDF2_ITERATIONS: 310000,
+  SESSION_KEY: 'healthTracker_dataKey',
+  RECOVERY_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+
+  /**
+   * Check if WebCrypto is available (requires a secure context)
+   */
+  isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  },
+
+  /**
+   * Generate a random AES-GCM data key
+   */
+  generateDataKey() {
+    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  },
+
+  /**
+   * Derive a key-wrapping key from a password or recovery key
+   */
+  async deriveWrappingKey(secret, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  },
+
+  /**
+   * Wrap the data key with a secret. The result is safe to store.
+   */
+  async wrapDataKey(dataKey, secret) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await this.deriveWrappingKey(secret, salt, this.PBKDF2_ITERATIONS);
+    const wrapped = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv });
+
+    return {
+      salt: this.toBase64(salt),
+      iv: this.toBase64(iv),
+      iterations: this.PBKDF2_ITERATIONS,
+      wrappedKey: this.toBase64(wrapped)
+    };
+  },
+
+  /**
+   * Unwrap the data key. Rejects if the secret is wrong.
+   */
+  async unwrapDataKey(wrapInfo, secret) {
+    const wrappingKey = await this.deriveWrappingKey(secret, this.fromBase64(wrapInfo.salt), wrapInfo.iterations);
+    return crypto.subtle.unwrapKey(
+      'raw',
+      this.fromBase64(wrapInfo.wrappedKey),
+      wrappingKey,
+      { name: 'AES-GCM', iv: this.fromBase64(wrapInfo.iv) },
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  /**
+   * Create a new data key wrapped by the password and a fresh recovery key
+   */
+  async createKeyring(password) {
+    const dataKey = await this.generateDataKey();
+    const recoveryKey = this.generateRecoveryKey();
+
+    return {
+      dataKey,
+      recoveryKey,
+      keyring: {
+        password: await this.wrapDataKey(dataKey, password),
+        recovery: await this.wrapDataKey(dataKey, this.normalizeRecoveryKey(recoveryKey)),
+        createdAt: Date.now()
+      }
+    };
+  },
+
+  /**
+   * Human-friendly recovery key, e.g. "K7QM-2XPA-..." (160 bits)
+   */
+  generateRecoveryKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    const chars = Array.from(bytes, byte => this.RECOVERY_ALPHABET[byte % this.RECOVERY_ALPHABET.length]);
+    return chars.join('').match(/.{4}/g).join('-');
+  },
+
+  /**
+   * Ignore case, spaces and dashes when a recovery key is typed in
+   */
+  normalizeRecoveryKey(recoveryKey) {
+    return recoveryKey.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  },
+
+  /**
+   * Encrypt any JSON-serializable value
+   */
+  async encrypt(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return { iv: this.toBase64(iv), data: this.toBase64(ciphertext) };
+  },
+
+  /**
+   * Decrypt a value produced by encrypt()
+   */
+  async decrypt(key, payload) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this.fromBase64(payload.iv) },
+      key,
+      this.fromBase64(payload.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  },
+
+  /**
+   * Keep the unlocked data key for this tab's session
+   */
+  async rememberKey(dataKey) {
+    const raw = await crypto.subtle.exportKey('raw', dataKey);
+    sessionStorage.setItem(this.SESSION_KEY, this.toBase64(raw));
+  },
+
+  /**
+   * Get the data key unlocked earlier in this tab, or null
+   */
+  async restoreKey() {
+    const raw = sessionStorage.getItem(this.SESSION_KEY);
+    if (!raw || !this.isSupported()) return null;
+    return crypto.subtle.importKey('raw', this.fromBase64(raw), { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  },
+
+  hasRememberedKey() {
+    return sessionStorage.getItem(this.SESSION_KEY) !== null;
+  },
+
+  forgetKey() {
+    sessionStorage.removeItem(this.SESSION_KEY);
+  },
+
+  toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  },
+
+  fromBase64(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+};
+
+// Expose to window
+window.CryptoManager = CryptoManager;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CryptoManager;
+}
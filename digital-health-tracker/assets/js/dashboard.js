@@ -9,7 +9,8 @@ const DashboardManager = {
   charts: {},
   
   /**
-   * Calculate health score (0-100) based on various metrics
+   * Calculate health score (0-100) based on various metrics. Exercise
+   * adds up to 15 bonus points on top, with the total capped at 100.
    */
   calculateHealthScore(entries, goals) {
     if (!entries || entries.length === 0) return 0;
@@ -59,7 +60,14 @@ const DashboardManager = {
       components++;
     }
     
-    return Math.round(score);
+    // Exercise bonus (0-15 points), from logged workout minutes
+    if (latest.exercise !== undefined && goals.exercise) {
+      const exerciseScore = Math.min((latest.exercise / goals.exercise) * 15, 15);
+      score += exerciseScore;
+      components++;
+    }
+    
+    return Math.round(Math.min(score, 100));
   },
   
   /**
@@ -77,12 +85,13 @@ const DashboardManager = {
       };
     }
     
+    // Means skip days without a value for the metric
     const stats = {
-      avgSteps: entries.reduce((sum, e) => sum + (e.steps || 0), 0) / entries.length,
-      avgHeartRate: entries.reduce((sum, e) => sum + (e.heartRate || 0), 0) / entries.length,
-      avgSleep: entries.reduce((sum, e) => sum + (e.sleep || 0), 0) / entries.length,
-      avgWater: entries.reduce((sum, e) => sum + (e.water || 0), 0) / entries.length,
-      avgCalories: entries.reduce((sum, e) => sum + (e.calories || 0), 0) / entries.length,
+      avgSteps: StorageManager.aggregateEntries(entries, 'steps') || 0,
+      avgHeartRate: StorageManager.aggregateEntries(entries, 'heartRate') || 0,
+      avgSleep: StorageManager.aggregateEntries(entries, 'sleep') || 0,
+      avgWater: StorageManager.aggregateEntries(entries, 'water') || 0,
+      avgCalories: StorageManager.aggregateEntries(entries, 'calories') || 0,
       totalEntries: entries.length
     };
     
@@ -108,14 +117,23 @@ const DashboardManager = {
       flags.push({ type: 'warning', message: 'Elevated resting heart rate (>100 bpm)', metric: 'heartRate' });
     }
     
-    if (latest.water < 3) {
-      flags.push({ type: 'warning', message: 'Low water intake (<3 glasses)', metric: 'water' });
+    if (latest.water < 750) {
+      flags.push({ type: 'warning', message: `Low water intake (<${UnitSystem.format('water', 750)})`, metric: 'water' });
     }
     
     if (latest.steps < 2000) {
       flags.push({ type: 'warning', message: 'Very low activity level (<2000 steps)', metric: 'steps' });
     }
     
+    // Daily means of blood pressure and glucose readings (see VitalSigns)
+    if (latest.systolic > 180 || latest.diastolic > 120) {
+      flags.push({ type: 'danger', message: 'Blood pressure in the hypertensive crisis range (>180/120 mmHg)', metric: 'bloodPressure' });
+    }
+    
+    if (latest.glucose < 54 || latest.glucose > 300) {
+      flags.push({ type: 'danger', message: `Blood glucose dangerously ${latest.glucose < 54 ? 'low (<54' : 'high (>300'} mg/dL)`, metric: 'glucose' });
+    }
+    
     // Check for patterns across multiple days
     if (entries.length >= 3) {
       const recentSleep = entries.slice(0, 3).map(e => e.sleep || 0);
@@ -127,6 +145,29 @@ const DashboardManager = {
     return flags;
   },
   
+  /**
+   * Axis labels for a StorageManager.query() series. The metric charts
+   * below all take such a series (oldest first); empty buckets are null
+   * and show up as gaps.
+   */
+  getSeriesLabels(series) {
+    return series.map(point => {
+      const start = DateUtils.parseKey(point.start);
+      if (point.bucket === 'month') {
+        return start.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+      }
+      const label = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+      return point.bucket === 'week' ? `Week of ${label}` : label;
+    });
+  },
+  
+  /**
+   * Chart values for a series, converted to the user's display units
+   */
+  getSeriesData(series, metric) {
+    return series.map(point => UnitSystem.toDisplay(metric, point.value));
+  },
+  
   /**
    * Create line chart
    */
@@ -175,12 +216,12 @@ const DashboardManager = {
   /**
    * Render steps chart
    */
-  renderStepsChart(canvasId, entries, goal) {
+  renderStepsChart(canvasId, series, goal) {
     const ctx = document.getElementById(canvasId);
     if (!ctx) return null;
     
-    const labels = entries.map(e => new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })).reverse();
-    const data = entries.map(e => e.steps || 0).reverse();
+    const labels = this.getSeriesLabels(series);
+    const data = this.getSeriesData(series, 'steps');
     
     // Destroy existing chart if any
     if (this.charts[canvasId]) {
@@ -212,12 +253,12 @@ const DashboardManager = {
   /**
    * Render heart rate chart
    */
-  renderHeartRateChart(canvasId, entries) {
+  renderHeartRateChart(canvasId, series) {
     const ctx = document.getElementById(canvasId);
     if (!ctx) return null;
     
-    const labels = entries.map(e => new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })).reverse();
-    const data = entries.map(e => e.heartRate || 0).reverse();
+    const labels = this.getSeriesLabels(series);
+    const data = this.getSeriesData(series, 'heartRate');
     
     if (this.charts[canvasId]) {
       this.charts[canvasId].destroy();
@@ -240,12 +281,12 @@ const DashboardManager = {
   /**
    * Render sleep chart
    */
-  renderSleepChart(canvasId, entries, goal) {
+  renderSleepChart(canvasId, series, goal) {
     const ctx = document.getElementById(canvasId);
     if (!ctx) return null;
     
-    const labels = entries.map(e => new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })).reverse();
-    const data = entries.map(e => e.sleep || 0).reverse();
+    const labels = this.getSeriesLabels(series);
+    const data = this.getSeriesData(series, 'sleep');
     
     if (this.charts[canvasId]) {
       this.charts[canvasId].destroy();
@@ -294,12 +335,12 @@ const DashboardManager = {
   /**
    * Render water intake chart
    */
-  renderWaterChart(canvasId, entries, goal) {
+  renderWaterChart(canvasId, series, goal) {
     const ctx = document.getElementById(canvasId);
     if (!ctx) return null;
     
-    const labels = entries.map(e => new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })).reverse();
-    const data = entries.map(e => e.water || 0).reverse();
+    const labels = this.getSeriesLabels(series);
+    const data = this.getSeriesData(series, 'water');
     
     if (this.charts[canvasId]) {
       this.charts[canvasId].destroy();
@@ -310,7 +351,7 @@ const DashboardManager = {
       data: {
         labels,
         datasets: [{
-          label: 'Water (glasses)',
+          label: `Water (${UnitSystem.unit('water')})`,
           data,
           backgroundColor: 'rgba(14, 165, 233, 0.7)',
           borderColor: 'rgb(14, 165, 233)',
@@ -347,12 +388,12 @@ const DashboardManager = {
   /**
    * Render calories chart
    */
-  renderCaloriesChart(canvasId, entries, goal) {
+  renderCaloriesChart(canvasId, series, goal) {
     const ctx = document.getElementById(canvasId);
     if (!ctx) return null;
     
-    const labels = entries.map(e => new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })).reverse();
-    const data = entries.map(e => e.calories || 0).reverse();
+    const labels = this.getSeriesLabels(series);
+    const data = this.getSeriesData(series, 'calories');
     
     if (this.charts[canvasId]) {
       this.charts[canvasId].destroy();
@@ -380,6 +421,576 @@ const DashboardManager = {
     return this.charts[canvasId];
   },
   
+  /**
+   * Mark the points (or bars) of a rendered series chart whose bucket
+   * contains one of `dates`, e.g. the days found by SearchIndex
+   */
+  highlightDates(canvasId, series, dates) {
+    const chart = this.charts[canvasId];
+    if (!chart) return null;
+    
+    const color = 'rgb(245, 158, 11)';
+    const marked = series.map(point => dates.some(date => date >= point.start && date <= point.end));
+    const dataset = chart.data.datasets[0];
+    if (chart.config.type === 'bar') {
+      const base = dataset.backgroundColor;
+      dataset.backgroundColor = marked.map(hit => (hit ? color : base));
+    } else {
+      const base = dataset.borderColor;
+      dataset.pointRadius = marked.map(hit => (hit ? 7 : 3));
+      dataset.pointBackgroundColor = marked.map(hit => (hit ? color : base));
+      dataset.pointBorderColor = marked.map(hit => (hit ? color : base));
+    }
+    chart.update();
+    
+    return chart;
+  },
+  
+  /**
+   * Short axis labels for a list of YYYY-MM-DD keys
+   */
+  getDateLabels(dates) {
+    return dates.map(date => DateUtils.parseKey(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+  },
+  
+  /**
+   * Render weigh-ins as points with their smoothed trend (see
+   * BodyComposition.getTrend) and the goal weight
+   */
+  renderWeightChart(canvasId, trend, goal) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+    
+    const labels = this.getDateLabels(trend.map(point => point.date));
+    const unit = UnitSystem.unit('weight');
+    
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+    
+    const datasets = [
+      {
+        label: `Weigh-ins (${unit})`,
+        data: trend.map(point => UnitSystem.toDisplay('weight', point.value)),
+        borderColor: 'rgba(100, 116, 139, 0.6)',
+        backgroundColor: 'rgba(100, 116, 139, 0.6)',
+        showLine: false,
+        pointRadius: 3
+      },
+      {
+        label: `Trend (${unit})`,
+        data: trend.map(point => UnitSystem.toDisplay('weight', point.trend)),
+        borderColor: 'rgb(20, 184, 166)',
+        backgroundColor: 'rgba(20, 184, 166, 0.1)',
+        pointRadius: 0,
+        fill: false,
+        tension: 0.3
+      }
+    ];
+    if (goal) {
+      datasets.push({
+        label: 'Goal',
+        data: new Array(trend.length).fill(UnitSystem.toDisplay('weight', goal)),
+        borderColor: 'rgb(139, 92, 246)',
+        borderDash: [5, 5],
+        pointRadius: 0,
+        fill: false
+      });
+    }
+    
+    // Weight changes are small next to the weight itself
+    this.charts[canvasId] = this.createLineChart(ctx, labels, datasets, {
+      scales: {
+        y: { beginAtZero: false },
+        x: { grid: { display: false } }
+      }
+    });
+    return this.charts[canvasId];
+  },
+  
+  /**
+   * Render BMI at each weigh-in (see BodyComposition.getBMIHistory)
+   * against the overweight threshold of 25
+   */
+  renderBMIChart(canvasId, history) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+    
+    const labels = this.getDateLabels(history.map(point => point.date));
+    
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+    
+    this.charts[canvasId] = this.createLineChart(ctx, labels, [
+      {
+        label: 'BMI',
+        data: history.map(point => point.bmi),
+        borderColor: 'rgb(59, 130, 246)',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        fill: true,
+        tension: 0.3
+      },
+      {
+        label: 'Overweight (25)',
+        data: new Array(history.length).fill(25),
+        borderColor: 'rgb(245, 158, 11)',
+        borderDash: [5, 5],
+        pointRadius: 0,
+        fill: false
+      }
+    ], {
+      scales: {
+        y: { beginAtZero: false },
+        x: { grid: { display: false } }
+      }
+    });
+    return this.charts[canvasId];
+  },
+  
+  /**
+   * Axis labels for individual timestamped readings
+   */
+  getReadingLabels(readings) {
+    return readings.map(reading => `${this.getDateLabels([reading.date])[0]} ${DateUtils.formatTime(reading.timestamp, reading.timeZone)}`);
+  },
+  
+  /**
+   * Render blood pressure readings (see VitalSigns.getBloodPressureReadings)
+   * against the stage 1 hypertension thresholds of 130/80
+   */
+  renderBloodPressureChart(canvasId, readings) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+    
+    const labels = this.getReadingLabels(readings);
+    const threshold = (label, value, color) => ({
+      label,
+      data: new Array(readings.length).fill(value),
+      borderColor: color,
+      borderDash: [5, 5],
+      pointRadius: 0,
+      fill: false
+    });
+    
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+    
+    this.charts[canvasId] = this.createLineChart(ctx, labels, [
+      {
+        label: 'Systolic (mmHg)',
+        data: readings.map(reading => reading.systolic),
+        borderColor: 'rgb(239, 68, 68)',
+        backgroundColor: 'rgba(239, 68, 68, 0.1)',
+        fill: false,
+        tension: 0.3
+      },
+      {
+        label: 'Diastolic (mmHg)',
+        data: readings.map(reading => reading.diastolic),
+        borderColor: 'rgb(59, 130, 246)',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        fill: false,
+        tension: 0.3
+      },
+      threshold('Systolic 130', 130, 'rgba(239, 68, 68, 0.5)'),
+      threshold('Diastolic 80', 80, 'rgba(59, 130, 246, 0.5)')
+    ], {
+      scales: {
+        y: { beginAtZero: false },
+        x: { grid: { display: false } }
+      }
+    });
+    return this.charts[canvasId];
+  },
+  
+  /**
+   * Render glucose readings (see VitalSigns.getGlucoseReadings), coloured
+   * by their ADA range
+   */
+  renderGlucoseChart(canvasId, readings) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+    
+    const labels = this.getReadingLabels(readings);
+    const colors = { success: 'rgb(34, 197, 94)', warning: 'rgb(245, 158, 11)', danger: 'rgb(239, 68, 68)' };
+    
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+    
+    this.charts[canvasId] = this.createLineChart(ctx, labels, [
+      {
+        label: 'Glucose (mg/dL)',
+        data: readings.map(reading => reading.value),
+        borderColor: 'rgba(100, 116, 139, 0.5)',
+        pointBackgroundColor: readings.map(reading => colors[reading.range.level]),
+        pointBorderColor: readings.map(reading => colors[reading.range.level]),
+        pointRadius: 5,
+        fill: false,
+        tension: 0.3
+      }
+    ], {
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            afterLabel: item => `${VitalSigns.GLUCOSE_CONTEXTS[readings[item.dataIndex].context]} · ${readings[item.dataIndex].range.label}`
+          }
+        }
+      },
+      scales: {
+        y: { beginAtZero: false },
+        x: { grid: { display: false } }
+      }
+    });
+    return this.charts[canvasId];
+  },
+  
+  /**
+   * Render medication adherence per day (see
+   * MedicationManager.getAdherenceSeries) as bars coloured by how many
+   * doses were taken
+   */
+  renderAdherenceChart(canvasId, series) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+    
+    const labels = this.getDateLabels(series.map(point => point.date));
+    const color = percent => {
+      if (percent >= 90) return 'rgba(34, 197, 94, 0.8)';
+      if (percent >= 70) return 'rgba(245, 158, 11, 0.8)';
+      return 'rgba(239, 68, 68, 0.8)';
+    };
+    
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+    
+    this.charts[canvasId] = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [{
+          label: 'Adherence (%)',
+          data: series.map(point => point.percent),
+          backgroundColor: series.map(point => color(point.percent)),
+          borderRadius: 8
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: false }
+        },
+        scales: {
+          y: {
+            min: 0,
+            max: 100,
+            ticks: { callback: value => `${value}%` }
+          },
+          x: { grid: { display: false } }
+        }
+      }
+    });
+    return this.charts[canvasId];
+  },
+  
+  /**
+   * Render symptoms logged per day (see SymptomJournal.getDailyOverview)
+   * as bars, with the day's sleep and mood score as lines
+   */
+  renderSymptomChart(canvasId, days) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+    
+    const labels = this.getDateLabels(days.map(day => day.date));
+    
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+    
+    this.charts[canvasId] = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'Symptoms logged',
+            data: days.map(day => day.count),
+            backgroundColor: 'rgba(239, 68, 68, 0.6)',
+            borderRadius: 8,
+            yAxisID: 'y'
+          },
+          {
+            type: 'line',
+            label: 'Sleep (hours)',
+            data: days.map(day => day.sleep),
+            borderColor: 'rgb(139, 92, 246)',
+            backgroundColor: 'rgba(139, 92, 246, 0.1)',
+            spanGaps: true,
+            tension: 0.4,
+            yAxisID: 'y1'
+          },
+          {
+            type: 'line',
+            label: 'Mood (1-5)',
+            data: days.map(day => day.moodScore),
+            borderColor: 'rgb(245, 158, 11)',
+            borderDash: [5, 5],
+            spanGaps: true,
+            tension: 0.4,
+            yAxisID: 'y1'
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { position: 'top' },
+          tooltip: {
+            mode: 'index',
+            intersect: false,
+            callbacks: {
+              afterLabel: item => (item.datasetIndex === 2 && days[item.dataIndex].mood ? days[item.dataIndex].mood : '')
+            }
+          }
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            ticks: { stepSize: 1 },
+            title: { display: true, text: 'Symptoms' }
+          },
+          y1: {
+            position: 'right',
+            min: 0,
+            max: 12,
+            grid: { display: false },
+            title: { display: true, text: 'Sleep (h) / Mood' }
+          },
+          x: { grid: { display: false } }
+        }
+      }
+    });
+    return this.charts[canvasId];
+  },
+  
+  /**
+   * Render a custom metric (see StorageManager.saveCustomMetric) with its
+   * goal line. Yes/no metrics are bars of the days they were done.
+   */
+  renderMetricChart(canvasId, series, metric) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+    
+    const labels = this.getSeriesLabels(series);
+    const data = this.getSeriesData(series, metric.id);
+    const label = metric.unit ? `${metric.name} (${metric.unit})` : metric.name;
+    
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+    
+    if (metric.type === 'boolean') {
+      this.charts[canvasId] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+          labels,
+          datasets: [{
+            label: metric.name,
+            data,
+            backgroundColor: 'rgba(20, 184, 166, 0.8)',
+            borderRadius: 8
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: { display: false }
+          },
+          scales: {
+            y: {
+              min: 0,
+              max: 1,
+              ticks: {
+                stepSize: 1,
+                callback: value => (value ? 'Yes' : 'No')
+              }
+            }
+          }
+        }
+      });
+      return this.charts[canvasId];
+    }
+    
+    const datasets = [
+      {
+        label,
+        data,
+        borderColor: 'rgb(14, 165, 233)',
+        backgroundColor: 'rgba(14, 165, 233, 0.1)',
+        fill: true,
+        tension: 0.4
+      }
+    ];
+    if (metric.goal !== null && metric.goal !== undefined) {
+      datasets.push({
+        label: 'Goal',
+        data: new Array(data.length).fill(metric.goal),
+        borderColor: 'rgb(139, 92, 246)',
+        borderDash: [5, 5],
+        pointRadius: 0,
+        fill: false
+      });
+    }
+    
+    this.charts[canvasId] = this.createLineChart(ctx, labels, datasets);
+    return this.charts[canvasId];
+  },
+  
+  /**
+   * Render intraday readings for one metric (time of day on the x axis).
+   * Summed metrics (water, steps) are shown as a running total so the
+   * last point matches the daily value.
+   */
+  renderIntradayChart(canvasId, readings, metric, label) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+    
+    const sorted = readings
+      .filter(r => r.metric === metric)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const labels = sorted.map(r => DateUtils.formatTime(r.timestamp, r.timeZone));
+    
+    let runningTotal = 0;
+    const cumulative = StorageManager.getRollup(metric) === 'sum';
+    const data = sorted.map(r => {
+      runningTotal += r.value;
+      return UnitSystem.toDisplay(metric, cumulative ? runningTotal : r.value);
+    });
+    
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+    
+    this.charts[canvasId] = this.createLineChart(ctx, labels, [
+      {
+        label: cumulative ? `${label} (running total)` : label,
+        data,
+        borderColor: 'rgb(20, 184, 166)',
+        backgroundColor: 'rgba(20, 184, 166, 0.1)',
+        fill: cumulative,
+        stepped: cumulative,
+        tension: cumulative ? 0 : 0.4
+      }
+    ]);
+    
+    return this.charts[canvasId];
+  },
+  
+  /**
+   * Render weekly active minutes (see WorkoutLog.getWeeklyMinutes) as
+   * stacked moderate and vigorous bars against the weekly target.
+   * Vigorous minutes are drawn doubled, as they count towards the target.
+   */
+  renderActivityChart(canvasId, weeks, target) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+    
+    const labels = this.getDateLabels(weeks.map(week => week.weekStart));
+    
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+    
+    this.charts[canvasId] = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'Moderate (min)',
+            data: weeks.map(week => week.moderate),
+            backgroundColor: 'rgba(20, 184, 166, 0.8)',
+            stack: 'minutes'
+          },
+          {
+            label: 'Vigorous (min x2)',
+            data: weeks.map(week => week.vigorous * 2),
+            backgroundColor: 'rgba(249, 115, 22, 0.8)',
+            stack: 'minutes'
+          },
+          {
+            type: 'line',
+            label: 'WHO target',
+            data: new Array(weeks.length).fill(target),
+            borderColor: 'rgb(139, 92, 246)',
+            borderDash: [5, 5],
+            pointRadius: 0,
+            fill: false
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { stacked: true, grid: { display: false } },
+          y: { stacked: true, beginAtZero: true }
+        }
+      }
+    });
+    
+    return this.charts[canvasId];
+  },
+  
+  /**
+   * Render the day's energy from protein, carbs and fat, given as
+   * { protein, carbs, fat } in kcal (see FoodLog.getMacroEnergy)
+   */
+  renderMacroChart(canvasId, energy) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+    
+    const macros = [
+      { key: 'protein', label: 'Protein', color: 'rgba(20, 184, 166, 0.8)' },
+      { key: 'carbs', label: 'Carbs', color: 'rgba(245, 158, 11, 0.8)' },
+      { key: 'fat', label: 'Fat', color: 'rgba(139, 92, 246, 0.8)' }
+    ];
+    
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+    
+    this.charts[canvasId] = new Chart(ctx, {
+      type: 'doughnut',
+      data: {
+        labels: macros.map(macro => macro.label),
+        datasets: [{
+          data: macros.map(macro => energy[macro.key]),
+          backgroundColor: macros.map(macro => macro.color)
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { position: 'bottom' },
+          tooltip: {
+            callbacks: { label: context => `${context.label}: ${context.parsed} kcal` }
+          }
+        }
+      }
+    });
+    
+    return this.charts[canvasId];
+  },
+  
   /**
    * Destroy all charts (cleanup)
    */
@@ -0,0 +1,124 @@
+// dates.js - Calendar date helpers for Digital Health Tracker
+// Local-timezone day keys shared by StorageManager, App and the charts
+
+/**
+ * Date Utils
+ * Entries are keyed by calendar day (YYYY-MM-DD) in the user's local
+ * timezone. Keys must never come from toISOString(), which gives the UTC
+ * day and is wrong for part of every day anywhere off GMT.
+ *
+ * Keys turn back into Dates at local noon, so day arithmetic is safe
+ * across DST changes. Readings remember the timezone they were logged
+ * in and their times are shown in that zone, so travelling does not
+ * move a morning reading to the previous evening.
+ */
+const DateUtils = {
+  // Allowed settings.weekStart values: 0 = Sunday, 1 = Monday
+  WEEK_STARTS: [0, 1],
+  
+  weekStart: 0,
+  
+  /**
+   * Set the first day of the week (invalid values fall back to Sunday)
+   */
+  setWeekStart(day) {
+    const value = Number(day);
+    this.weekStart = this.WEEK_STARTS.includes(value) ? value : 0;
+  },
+  
+  /**
+   * Local YYYY-MM-DD key for a Date
+   */
+  toKey(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  },
+  
+  /**
+   * Today's key
+   */
+  today() {
+    return this.toKey(new Date());
+  },
+  
+  /**
+   * Date for a key, at local noon
+   */
+  parseKey(key) {
+    return new Date(`${key}T12:00:00`);
+  },
+  
+  /**
+   * Add a number of days to a key
+   */
+  addDays(key, days) {
+    const date = this.parseKey(key);
+    date.setDate(date.getDate() + days);
+    return this.toKey(date);
+  },
+  
+  /**
+   * Whole days from one key to another (negative if `to` is earlier)
+   */
+  daysBetween(from, to) {
+    return Math.round((this.parseKey(to) - this.parseKey(from)) / 86400000);
+  },
+  
+  /**
+   * First day of the week a key falls in, honouring weekStart
+   */
+  startOfWeek(key) {
+    const offset = (this.parseKey(key).getDay() - this.weekStart + 7) % 7;
+    return this.addDays(key, -offset);
+  },
+  
+  /**
+   * First day of the month a key falls in
+   */
+  startOfMonth(key) {
+    return `${key.slice(0, 7)}-01`;
+  },
+  
+  /**
+   * First day of the following month
+   */
+  startOfNextMonth(key) {
+    const date = this.parseKey(key);
+    return this.toKey(new Date(date.getFullYear(), date.getMonth() + 1, 1));
+  },
+  
+  /**
+   * IANA name of the current timezone (null if the browser can't tell)
+   */
+  getTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  /**
+   * Time of day for a timestamp, in the timezone it was logged in when
+   * known (otherwise the current one)
+   */
+  formatTime(timestamp, timeZone = null) {
+    const options = { hour: 'numeric', minute: '2-digit' };
+    try {
+      return new Date(timestamp).toLocaleTimeString('en-US', timeZone ? { ...options, timeZone } : options);
+    } catch (error) {
+      // Unknown timezone name
+      return new Date(timestamp).toLocaleTimeString('en-US', options);
+    }
+  }
+};
+
+// Expose to window
+window.DateUtils = DateUtils;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DateUtils;
+}
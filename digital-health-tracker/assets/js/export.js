@@ -1,9 +1,9 @@
-// export.js - Data export functionality (CSV, PDF)
+// export.js - Data export functionality (CSV, FHIR, PDF)
 // Handles exporting health data in various formats
 
 /**
  * Export Manager
- * Provides methods to export data as CSV and PDF
+ * Provides methods to export data as CSV, FHIR R4 JSON and PDF
  */
 const ExportManager = {
   
@@ -16,25 +16,37 @@ const ExportManager = {
       return null;
     }
     
-    // CSV headers
-    const headers = ['Date', 'Steps', 'Heart Rate (bpm)', 'Sleep (hours)', 'Water (glasses)', 'Calories', 'Mood', 'Notes'];
+    // CSV headers (water, weight and waist in the user's display units),
+    // then one column per custom metric
+    const customMetrics = StorageManager.customMetrics;
+    const headers = [
+      'Date', 'Steps', 'Heart Rate (bpm)', 'Sleep (hours)', `Water (${UnitSystem.unit('water')})`, 'Calories', 'Mood', 'Notes',
+      `Weight (${UnitSystem.unit('weight')})`, 'Body Fat (%)', `Waist (${UnitSystem.unit('waist')})`,
+      ...customMetrics.map(metric => (metric.unit ? `${metric.name} (${metric.unit})` : metric.name))
+    ];
     
-    // Convert entries to CSV rows
+    // Convert entries to CSV rows; unlogged values stay empty so the file
+    // imports back (see ImportManager) without adding zeros
     const rows = entries.map(entry => [
       entry.date,
-      entry.steps || 0,
-      entry.heartRate || 0,
-      entry.sleep || 0,
-      entry.water || 0,
-      entry.calories || 0,
+      entry.steps ?? '',
+      entry.heartRate ?? '',
+      entry.sleep ?? '',
+      UnitSystem.toDisplay('water', entry.water) ?? '',
+      entry.calories ?? '',
       entry.mood || '',
-      entry.notes || ''
+      entry.notes || '',
+      UnitSystem.toDisplay('weight', entry.weight) ?? '',
+      entry.bodyFat ?? '',
+      UnitSystem.toDisplay('waist', entry.waist) ?? '',
+      ...customMetrics.map(metric => entry[metric.id] ?? '')
     ]);
     
-    // Combine headers and rows
+    // Combine headers and rows; quotes in names and notes are doubled
+    const quote = cell => `"${String(cell).replace(/"/g, '""')}"`;
     const csvContent = [
-      headers.join(','),
-      ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
+      headers.map(quote).join(','),
+      ...rows.map(row => row.map(quote).join(','))
     ].join('\n');
     
     return csvContent;
@@ -61,6 +73,54 @@ const ExportManager = {
     return true;
   },
   
+  /**
+   * Export symptom journal records (see SymptomJournal.getRecords) as CSV
+   */
+  exportSymptomCSV(records) {
+    if (!records || records.length === 0) {
+      console.warn('[Export] No symptoms to export');
+      return null;
+    }
+    
+    const headers = ['Date', 'Time', 'Symptom', 'Severity (0-10)', 'Location', 'Duration (minutes)', 'Notes'];
+    const rows = records.map(record => [
+      record.date,
+      DateUtils.formatTime(record.timestamp, record.timeZone),
+      record.label,
+      record.severity,
+      SymptomJournal.BODY_LOCATIONS[record.location] || '',
+      record.durationMinutes ?? '',
+      record.notes
+    ]);
+    
+    const quote = cell => `"${String(cell).replace(/"/g, '""')}"`;
+    return [
+      headers.map(quote).join(','),
+      ...rows.map(row => row.map(quote).join(','))
+    ].join('\n');
+  },
+  
+  /**
+   * Download the symptom journal as CSV
+   */
+  downloadSymptomCSV(records, filename = 'symptom-journal.csv') {
+    const csvContent = this.exportSymptomCSV(records);
+    if (!csvContent) return false;
+    
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    return true;
+  },
+  
   /**
    * Export data as JSON
    */
@@ -80,6 +140,168 @@ const ExportManager = {
     return true;
   },
   
+  /**
+   * Download an archive created by StorageManager.createArchive
+   */
+  downloadArchive(archive) {
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(archive.blob);
+    
+    link.setAttribute('href', url);
+    link.setAttribute('download', archive.filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    return true;
+  },
+  
+  // LOINC codes of the entry fields exported as FHIR Observations, with
+  // their observation category and UCUM unit
+  FHIR_OBSERVATIONS: {
+    steps: { code: '55423-8', display: 'Number of steps in unspecified time Pedometer', category: 'activity', unit: 'steps/day', ucum: '/d' },
+    heartRate: { code: '8867-4', display: 'Heart rate', category: 'vital-signs', unit: 'beats/minute', ucum: '/min' },
+    sleep: { code: '93832-4', display: 'Sleep duration', category: 'activity', unit: 'h', ucum: 'h' },
+    weight: { code: '29463-7', display: 'Body weight', category: 'vital-signs', unit: 'kg', ucum: 'kg' }
+  },
+  
+  // Blood pressure is one panel Observation with a component per reading
+  FHIR_BLOOD_PRESSURE: {
+    code: '85354-9',
+    display: 'Blood pressure panel with all children optional',
+    components: {
+      systolic: { code: '8480-6', display: 'Systolic blood pressure' },
+      diastolic: { code: '8462-4', display: 'Diastolic blood pressure' }
+    }
+  },
+  
+  FHIR_GENDERS: ['male', 'female', 'other', 'unknown'],
+  
+  /**
+   * Build an HL7 FHIR R4 collection Bundle of a user's record: a Patient
+   * from the AuthSystem profile, an Observation per logged day and
+   * metric (entries are in canonical units, see EntryValidator.SCHEMA),
+   * and an AllergyIntolerance and MedicationStatement per item of
+   * healthData.allergies and healthData.medications. Resources refer to
+   * each other by their urn:uuid fullUrl.
+   */
+  exportFHIR(user, entries = []) {
+    const profile = user.profile || {};
+    const healthData = user.healthData || {};
+    const resources = [];
+    const add = resource => {
+      const id = crypto.randomUUID();
+      resources.push({ fullUrl: `urn:uuid:${id}`, resource: { resourceType: resource.resourceType, id, ...resource } });
+      return { reference: `urn:uuid:${id}` };
+    };
+    const codeable = (system, code, display) => ({ coding: [{ system, code, display }], text: display });
+    const loinc = (code, display) => codeable('http://loinc.org', code, display);
+    const category = code => [codeable('http://terminology.hl7.org/CodeSystem/observation-category', code,
+      code === 'vital-signs' ? 'Vital Signs' : 'Activity')];
+    const quantity = (value, unit, ucum) => ({ value, unit, system: 'http://unitsofmeasure.org', code: ucum });
+    
+    const telecom = [
+      user.email || profile.email ? { system: 'email', value: user.email || profile.email } : null,
+      profile.phone ? { system: 'phone', value: profile.phone } : null
+    ].filter(Boolean);
+    const gender = String(profile.gender || '').toLowerCase();
+    const patient = add({
+      resourceType: 'Patient',
+      ...(profile.name ? { name: [{ text: profile.name }] } : {}),
+      ...(telecom.length > 0 ? { telecom } : {}),
+      ...(this.FHIR_GENDERS.includes(gender) ? { gender } : {}),
+      ...(/^\d{4}-\d{2}-\d{2}$/.test(profile.dateOfBirth) ? { birthDate: profile.dateOfBirth } : {}),
+      ...(profile.address ? { address: [{ text: profile.address }] } : {}),
+      ...(profile.emergencyContact ? {
+        contact: [{
+          relationship: [codeable('http://terminology.hl7.org/CodeSystem/v2-0131', 'C', 'Emergency Contact')],
+          telecom: [{ system: 'phone', value: profile.emergencyContact }]
+        }]
+      } : {})
+    });
+    
+    entries.forEach(entry => {
+      Object.entries(this.FHIR_OBSERVATIONS).forEach(([field, spec]) => {
+        if (typeof entry[field] !== 'number') return;
+        add({
+          resourceType: 'Observation',
+          status: 'final',
+          category: category(spec.category),
+          code: loinc(spec.code, spec.display),
+          subject: patient,
+          effectiveDateTime: entry.date,
+          valueQuantity: quantity(entry[field], spec.unit, spec.ucum)
+        });
+      });
+      
+      const component = Object.entries(this.FHIR_BLOOD_PRESSURE.components)
+        .filter(([field]) => typeof entry[field] === 'number')
+        .map(([field, spec]) => ({ code: loinc(spec.code, spec.display), valueQuantity: quantity(entry[field], 'mmHg', 'mm[Hg]') }));
+      if (component.length > 0) {
+        add({
+          resourceType: 'Observation',
+          status: 'final',
+          category: category('vital-signs'),
+          code: loinc(this.FHIR_BLOOD_PRESSURE.code, this.FHIR_BLOOD_PRESSURE.display),
+          subject: patient,
+          effectiveDateTime: entry.date,
+          component
+        });
+      }
+    });
+    
+    (healthData.allergies || []).filter(Boolean).forEach(allergy => {
+      add({
+        resourceType: 'AllergyIntolerance',
+        clinicalStatus: codeable('http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical', 'active', 'Active'),
+        code: { text: String(allergy) },
+        patient
+      });
+    });
+    
+    // Medications are synced as { name, dose, schedule } (see
+    // MedicationManager.syncHealthData); older profiles list names only
+    (healthData.medications || []).filter(Boolean).forEach(medication => {
+      const { name, dose, schedule } = typeof medication === 'string' ? { name: medication } : medication;
+      const dosage = [dose, schedule].filter(Boolean).join(', ');
+      add({
+        resourceType: 'MedicationStatement',
+        status: 'active',
+        medicationCodeableConcept: { text: name },
+        subject: patient,
+        ...(dosage ? { dosage: [{ text: dosage }] } : {})
+      });
+    });
+    
+    return {
+      resourceType: 'Bundle',
+      id: crypto.randomUUID(),
+      type: 'collection',
+      timestamp: new Date().toISOString(),
+      entry: resources
+    };
+  },
+  
+  /**
+   * Download the FHIR Bundle of a user's record (see exportFHIR)
+   */
+  downloadFHIR(user, entries, filename = 'health-record.fhir.json') {
+    const jsonString = JSON.stringify(this.exportFHIR(user, entries), null, 2);
+    const blob = new Blob([jsonString], { type: 'application/fhir+json' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    return true;
+  },
+  
   /**
    * Generate PDF report (using jsPDF)
    * This requires jsPDF to be loaded via CDN
@@ -112,8 +334,8 @@ const ExportManager = {
     doc.setFontSize(10);
     doc.text(`Name: ${userData.name || 'N/A'}`, 20, 48);
     doc.text(`Age: ${userData.age || 'N/A'}`, 20, 54);
-    doc.text(`Height: ${userData.height || 'N/A'} cm`, 20, 60);
-    doc.text(`Weight: ${userData.weight || 'N/A'} kg`, 20, 66);
+    doc.text(`Height: ${userData.height ? UnitSystem.format('height', userData.height) : 'N/A'}`, 20, 60);
+    doc.text(`Weight: ${userData.weight ? UnitSystem.format('weight', userData.weight) : 'N/A'}`, 20, 66);
     
     // Health Score
     if (stats && stats.healthScore !== undefined) {
@@ -138,7 +360,7 @@ const ExportManager = {
       yPos += 6;
       doc.text(`Average Sleep: ${stats.avgSleep?.toFixed(1) || 'N/A'} hours`, 20, yPos);
       yPos += 6;
-      doc.text(`Average Water: ${stats.avgWater?.toFixed(1) || 'N/A'} glasses`, 20, yPos);
+      doc.text(`Average Water: ${stats.avgWater ? UnitSystem.format('water', stats.avgWater) : 'N/A'}`, 20, yPos);
       yPos += 6;
       doc.text(`Average Calories: ${stats.avgCalories?.toFixed(0) || 'N/A'}`, 20, yPos);
     }
@@ -162,6 +384,185 @@ const ExportManager = {
       });
     }
     
+    // BMI at each weigh-in (see BodyComposition.getBMIHistory), newest first
+    if (stats && stats.bmiHistory && stats.bmiHistory.length > 0) {
+      doc.addPage();
+      doc.setFontSize(14);
+      doc.setTextColor(0);
+      doc.text('BMI History', 20, 20);
+      
+      doc.setFontSize(8);
+      doc.text('Date', 20, 30);
+      doc.text(`Weight (${UnitSystem.unit('weight')})`, 60, 30);
+      doc.text('BMI', 100, 30);
+      doc.text('Category', 130, 30);
+      
+      let yPos = 38;
+      [...stats.bmiHistory].reverse().slice(0, 30).forEach(point => {
+        if (yPos > 280) {
+          doc.addPage();
+          yPos = 20;
+        }
+        doc.text(point.date, 20, yPos);
+        doc.text(UnitSystem.toDisplay('weight', point.weight).toString(), 60, yPos);
+        doc.text(point.bmi.toFixed(1), 100, yPos);
+        doc.text(point.category, 130, yPos);
+        yPos += 6;
+      });
+    }
+    
+    // Medication list and weekly adherence (see MedicationManager.getAdherenceReport)
+    const medications = stats && stats.medications;
+    if (medications && medications.medications.length > 0) {
+      doc.addPage();
+      doc.setFontSize(14);
+      doc.setTextColor(0);
+      doc.text('Medications', 20, 20);
+      
+      doc.setFontSize(10);
+      const overall = medications.overall;
+      if (overall.percent === null) {
+        doc.text(`No scheduled doses due between ${medications.startDate} and ${medications.endDate}`, 20, 30);
+      } else {
+        doc.text(`Adherence ${medications.startDate} to ${medications.endDate}: ${overall.percent}% (${overall.onTimePercent}% on time)`, 20, 30);
+        doc.text(`${overall.taken} taken, ${overall.late} late, ${overall.skipped} skipped, ${overall.missed} missed`, 20, 36);
+      }
+      
+      doc.setFontSize(8);
+      doc.text('Medication', 20, 46);
+      doc.text('Dose', 70, 46);
+      doc.text('Schedule', 100, 46);
+      doc.text('Since', 145, 46);
+      doc.text('Adherence', 170, 46);
+      
+      let yPos = 54;
+      medications.medications.forEach(item => {
+        if (yPos > 270) {
+          doc.addPage();
+          yPos = 20;
+        }
+        const adherence = item.medication.schedule.type === 'prn'
+          ? `${item.asNeededDoses} taken`
+          : (item.percent === null ? '--' : `${item.percent}%`);
+        doc.text(`${item.medication.name}${item.active ? '' : ' (stopped)'}`, 20, yPos);
+        doc.text(item.medication.dose || '--', 70, yPos);
+        doc.text(item.schedule, 100, yPos);
+        doc.text(item.medication.startDate, 145, yPos);
+        doc.text(adherence, 170, yPos);
+        yPos += 6;
+      });
+      
+      // Bar per week, 0-100%
+      const weeks = medications.weekly.filter(point => point.percent !== null);
+      if (weeks.length > 0) {
+        if (yPos > 200) {
+          doc.addPage();
+          yPos = 20;
+        }
+        doc.setFontSize(10);
+        doc.text('Weekly Adherence', 20, yPos + 6);
+        
+        const chartTop = yPos + 12;
+        const chartHeight = 50;
+        const barWidth = Math.min(25, 160 / weeks.length - 4);
+        doc.setDrawColor(200);
+        doc.line(20, chartTop + chartHeight, 185, chartTop + chartHeight);
+        doc.setFontSize(7);
+        weeks.forEach((week, index) => {
+          const x = 22 + index * (barWidth + 4);
+          const height = chartHeight * week.percent / 100;
+          if (week.percent >= 90) {
+            doc.setFillColor(34, 197, 94);
+          } else if (week.percent >= 70) {
+            doc.setFillColor(245, 158, 11);
+          } else {
+            doc.setFillColor(239, 68, 68);
+          }
+          doc.rect(x, chartTop + chartHeight - height, barWidth, height, 'F');
+          doc.text(`${week.percent}%`, x, chartTop + chartHeight - height - 2);
+          doc.text(week.date.slice(5), x, chartTop + chartHeight + 5);
+        });
+      }
+    }
+    
+    // Symptom journal: recurring combinations, then the latest records
+    const symptoms = stats && stats.symptoms;
+    if (symptoms && symptoms.records.length > 0) {
+      doc.addPage();
+      doc.setFontSize(14);
+      doc.setTextColor(0);
+      doc.text('Symptom Journal', 20, 20);
+      
+      doc.setFontSize(10);
+      let yPos = 30;
+      symptoms.recurring.forEach(combination => {
+        if (yPos > 270) {
+          doc.addPage();
+          yPos = 20;
+        }
+        const analysis = combination.analysis
+          ? `${combination.analysis.possibleConditions.join(', ')} (${combination.analysis.urgency})`
+          : 'no checker match';
+        doc.text(`Recurring: ${combination.labels.join(' + ')} on ${combination.days} days - ${analysis}`, 20, yPos);
+        yPos += 6;
+      });
+      
+      doc.setFontSize(8);
+      yPos += 4;
+      doc.text('Date', 20, yPos);
+      doc.text('Symptom', 50, yPos);
+      doc.text('Severity', 95, yPos);
+      doc.text('Location', 115, yPos);
+      doc.text('Duration', 145, yPos);
+      doc.text('Notes', 170, yPos);
+      yPos += 8;
+      
+      [...symptoms.records].reverse().slice(0, 40).forEach(record => {
+        if (yPos > 280) {
+          doc.addPage();
+          yPos = 20;
+        }
+        doc.text(record.date, 20, yPos);
+        doc.text(record.label, 50, yPos);
+        doc.text(`${record.severity}/10`, 95, yPos);
+        doc.text(SymptomJournal.BODY_LOCATIONS[record.location] || '', 115, yPos);
+        doc.text(SymptomJournal.formatDuration(record.durationMinutes), 145, yPos);
+        doc.text(record.notes.slice(0, 25), 170, yPos);
+        yPos += 6;
+      });
+    }
+    
+    // Custom metrics over the same entries, against their goals
+    const customMetrics = StorageManager.customMetrics;
+    if (customMetrics.length > 0 && entries && entries.length > 0) {
+      doc.addPage();
+      doc.setFontSize(14);
+      doc.setTextColor(0);
+      doc.text('Custom Metrics', 20, 20);
+      doc.setFontSize(10);
+      
+      let yPos = 30;
+      customMetrics.forEach(metric => {
+        if (yPos > 270) {
+          doc.addPage();
+          yPos = 20;
+        }
+        const logged = entries.filter(entry => typeof entry[metric.id] === 'number');
+        const unit = metric.unit ? ` ${metric.unit}` : '';
+        let summary;
+        if (logged.length === 0) {
+          summary = 'not logged';
+        } else if (metric.type === 'boolean') {
+          summary = `yes on ${logged.filter(entry => entry[metric.id] === 1).length} of ${logged.length} days`;
+        } else {
+          summary = `average ${StorageManager.aggregateEntries(logged, metric.id, 'mean')}${unit}`;
+        }
+        const goal = metric.goal !== null && metric.type !== 'boolean' ? ` (goal ${metric.goal}${unit})` : '';
+        doc.text(`${metric.name}: ${summary}${goal}`, 20, yPos);
+        yPos += 6;
+      });
+    }
+    
     // Recent Entries Table
     if (entries && entries.length > 0) {
       doc.addPage();
@@ -175,7 +576,7 @@ const ExportManager = {
       doc.text('Steps', 50, 30);
       doc.text('HR', 75, 30);
       doc.text('Sleep', 95, 30);
-      doc.text('Water', 120, 30);
+      doc.text(`Water (${UnitSystem.unit('water')})`, 120, 30);
       doc.text('Calories', 145, 30);
       doc.text('Mood', 175, 30);
       
@@ -190,7 +591,7 @@ const ExportManager = {
         doc.text((entry.steps || 0).toString(), 50, yPos);
         doc.text((entry.heartRate || 0).toString(), 75, yPos);
         doc.text((entry.sleep || 0).toString(), 95, yPos);
-        doc.text((entry.water || 0).toString(), 120, yPos);
+        doc.text(UnitSystem.toDisplay('water', entry.water || 0).toString(), 120, yPos);
         doc.text((entry.calories || 0).toString(), 145, yPos);
         doc.text(entry.mood || '', 175, yPos);
         yPos += 6;
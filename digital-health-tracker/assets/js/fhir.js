@@ -0,0 +1,198 @@
+// fhir.js - FHIR R4 import for Digital Health Tracker
+// Reads vitals and lab results from clinic-provided FHIR JSON
+
+/**
+ * FHIR Import
+ * Clinics and patient portals hand out HL7 FHIR R4 JSON: a Bundle of
+ * resources, or a single Observation. Observations are matched on their
+ * LOINC codes (and those of their components, so a blood pressure panel
+ * gives its systolic and diastolic readings); other resources are
+ * ignored, including a Patient, so records shared for a family member
+ * still need checking in the dry run.
+ *
+ * - Vitals (heart rate, weight, blood pressure, steps, sleep) and glucose
+ *   become daily entries through ImportManager's collector, dry run and
+ *   save, like the wearable exports.
+ * - Lab results (cholesterol, fasting glucose, HbA1c) keep the latest
+ *   value of each and are saved to the account's healthData, where
+ *   MedicalAI's risk calculators read them.
+ *
+ * Units are converted to the app's (kg, hours, mg/dL, NGSP %) from
+ * their UCUM codes; a value in any other unit is skipped.
+ */
+const FHIRImport = {
+  SOURCE: 'FHIR',
+  LOINC: 'http://loinc.org',
+  
+  // LOINC codes read: the entry field and/or lab result each fills, and
+  // the UNITS it may come in
+  CODES: {
+    '8867-4': { field: 'heartRate' },
+    '29463-7': { field: 'weight', units: 'weight' },
+    '3141-9': { field: 'weight', units: 'weight' },
+    '8480-6': { field: 'systolic' },
+    '8462-4': { field: 'diastolic' },
+    '55423-8': { field: 'steps' },
+    '93832-4': { field: 'sleep', units: 'sleep' },
+    '2339-0': { field: 'glucose', units: 'glucose' },
+    '2345-7': { field: 'glucose', units: 'glucose' },
+    '41653-7': { field: 'glucose', units: 'glucose' },
+    '15074-8': { field: 'glucose', units: 'glucose' },
+    '14749-6': { field: 'glucose', units: 'glucose' },
+    '1558-6': { field: 'glucose', lab: 'bloodGlucose', units: 'glucose' },
+    '14771-0': { field: 'glucose', lab: 'bloodGlucose', units: 'glucose' },
+    '2093-3': { lab: 'totalCholesterol', units: 'cholesterol' },
+    '14647-2': { lab: 'totalCholesterol', units: 'cholesterol' },
+    '2085-9': { lab: 'hdlCholesterol', units: 'cholesterol' },
+    '14646-4': { lab: 'hdlCholesterol', units: 'cholesterol' },
+    '2089-1': { lab: 'ldlCholesterol', units: 'cholesterol' },
+    '13457-7': { lab: 'ldlCholesterol', units: 'cholesterol' },
+    '18262-6': { lab: 'ldlCholesterol', units: 'cholesterol' },
+    '22748-8': { lab: 'ldlCholesterol', units: 'cholesterol' },
+    '4548-4': { lab: 'hba1c', units: 'hba1c' },
+    '17856-6': { lab: 'hba1c', units: 'hba1c' },
+    '59261-8': { lab: 'hba1c', units: 'hba1c' }
+  },
+  
+  // UCUM units -> the app's unit of each kind of value. HbA1c in IFCC
+  // mmol/mol isn't a plain factor (see toAppUnits).
+  UNITS: {
+    weight: { kg: 1, g: 0.001, '[lb_av]': 0.45359237, lb: 0.45359237 },
+    sleep: { h: 1, min: 1 / 60 },
+    glucose: { 'mg/dL': 1, 'mmol/L': 18.016 },
+    cholesterol: { 'mg/dL': 1, 'mmol/L': 38.67 },
+    hba1c: { '%': 1, 'mmol/mol': null }
+  },
+  
+  LABS: {
+    totalCholesterol: { label: 'Total cholesterol', unit: 'mg/dL' },
+    hdlCholesterol: { label: 'HDL cholesterol', unit: 'mg/dL' },
+    ldlCholesterol: { label: 'LDL cholesterol', unit: 'mg/dL' },
+    bloodGlucose: { label: 'Fasting glucose', unit: 'mg/dL' },
+    hba1c: { label: 'HbA1c', unit: '%' }
+  },
+  
+  // Observations that were never valid results
+  SKIPPED_STATUSES: ['entered-in-error', 'cancelled'],
+  
+  /**
+   * Read a FHIR Bundle or Observation (JSON text) into daily entries (see
+   * ImportManager.finishCollector) and `labs`: the latest of each LABS
+   * result as { value, date }, or null if there were none. `ignored`
+   * counts the resources that aren't observations this app reads.
+   */
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Not a valid JSON file');
+    }
+    let resources;
+    if (data && data.resourceType === 'Bundle') {
+      resources = (data.entry || []).map(entry => entry.resource).filter(Boolean);
+    } else if (data && data.resourceType === 'Observation') {
+      resources = [data];
+    } else {
+      throw new Error('Not a FHIR Bundle or Observation');
+    }
+    
+    const collector = ImportManager.createCollector();
+    const labs = {};
+    let ignored = 0;
+    resources.forEach(resource => {
+      const read = resource.resourceType === 'Observation' && !this.SKIPPED_STATUSES.includes(resource.status)
+        ? this.addObservation(collector, labs, resource)
+        : 0;
+      if (read === 0) ignored++;
+    });
+    
+    const result = ImportManager.finishCollector(collector);
+    if (result.records === 0 && Object.keys(labs).length === 0) {
+      throw new Error('No vitals or lab results found in this file');
+    }
+    Object.values(labs).forEach(lab => delete lab.time);
+    return { ...result, labs: Object.keys(labs).length > 0 ? labs : null, ignored };
+  },
+  
+  /**
+   * Collect an Observation's value and those of its components; returns
+   * how many were recognized
+   */
+  addObservation(collector, labs, observation) {
+    const effective = observation.effectiveDateTime || observation.effectiveInstant
+      || (observation.effectivePeriod && (observation.effectivePeriod.start || observation.effectivePeriod.end))
+      || observation.issued;
+    // Each day is the local date the sample was taken, as written
+    const date = /^\d{4}-\d{2}-\d{2}/.test(effective) ? effective.slice(0, 10) : null;
+    const time = date ? Date.parse(effective) : NaN;
+    
+    return [observation, ...(observation.component || [])].filter(item => {
+      const spec = this.getSpec(item.code);
+      if (!spec) return false;
+      
+      const value = this.toAppUnits(spec, item.valueQuantity);
+      if (spec.field) {
+        ImportManager.collect(collector, date, spec.field, value, { source: this.SOURCE, time });
+      }
+      if (spec.lab && date && Number.isFinite(value) && !(labs[spec.lab] && labs[spec.lab].time > time)) {
+        labs[spec.lab] = { value: Math.round(value * 10) / 10, date, time };
+      }
+      return true;
+    }).length;
+  },
+  
+  /**
+   * CODES entry of the first LOINC coding of a CodeableConcept, or null
+   */
+  getSpec(code) {
+    const coding = ((code && code.coding) || []).find(item => item.system === this.LOINC && this.CODES[item.code]);
+    return coding ? this.CODES[coding.code] : null;
+  },
+  
+  /**
+   * A Quantity in the app's units, or NaN if it has no value or an
+   * unknown unit
+   */
+  toAppUnits(spec, quantity) {
+    if (!quantity || typeof quantity.value !== 'number') return NaN;
+    if (!spec.units) return quantity.value;
+    
+    const unit = quantity.code || quantity.unit;
+    const units = this.UNITS[spec.units];
+    if (!(unit in units)) return NaN;
+    // IFCC -> NGSP master equation
+    if (spec.units === 'hba1c' && unit === 'mmol/mol') return 0.09148 * quantity.value + 2.152;
+    return quantity.value * units[unit];
+  },
+  
+  /**
+   * Save lab results from parse() to the signed-in account's healthData
+   * (cholesterol.total/hdl/ldl, bloodGlucose, hba1c). Returns false
+   * without an account to save them to.
+   */
+  async saveLabResults(labs) {
+    if (!labs || typeof AuthSystem === 'undefined') return false;
+    await AuthSystem.ready;
+    const user = AuthSystem.getCurrentUser();
+    if (!user) return false;
+    
+    const cholesterol = { ...(user.healthData && user.healthData.cholesterol) };
+    const healthData = {};
+    if (labs.totalCholesterol) cholesterol.total = labs.totalCholesterol.value;
+    if (labs.hdlCholesterol) cholesterol.hdl = labs.hdlCholesterol.value;
+    if (labs.ldlCholesterol) cholesterol.ldl = labs.ldlCholesterol.value;
+    if (labs.totalCholesterol || labs.hdlCholesterol || labs.ldlCholesterol) healthData.cholesterol = cholesterol;
+    if (labs.bloodGlucose) healthData.bloodGlucose = labs.bloodGlucose.value;
+    if (labs.hba1c) healthData.hba1c = labs.hba1c.value;
+    return AuthSystem.updateProfile(user.id, { healthData }).success;
+  }
+};
+
+// Expose to window
+window.FHIRImport = FHIRImport;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FHIRImport;
+}
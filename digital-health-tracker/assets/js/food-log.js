@@ -0,0 +1,284 @@
+// food-log.js - Meal-based food log for Digital Health Tracker
+// Offline food composition database, portions, recent/favourite foods and macro totals
+
+/**
+ * Food Log
+ * Foods come from the bundled data/foods.json (values per 100 g, or
+ * 100 ml for drinks), so logging works offline. Each food logged is one
+ * reading per nutrient, added together so it is undone as one change.
+ * The readings share a `foodLogId` in their details along with the
+ * meal, food and grams eaten.
+ *
+ * Calories and macros roll up into the day's entry as sums (see
+ * StorageManager.METRIC_ROLLUPS), so the daily `calories` value is the
+ * food log plus any calories logged directly.
+ */
+const FoodLog = {
+  DATABASE_URL: '/data/foods.json',
+  MEALS: {
+    breakfast: 'Breakfast',
+    lunch: 'Lunch',
+    dinner: 'Dinner',
+    snacks: 'Snacks'
+  },
+  NUTRIENTS: ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sodium'],
+  // Energy per gram of each macronutrient
+  KCAL_PER_GRAM: { protein: 4, carbs: 4, fat: 9 },
+  // Adult daily fiber target and sodium limit (WHO / US Dietary Guidelines)
+  FIBER_TARGET: 30,
+  SODIUM_LIMIT: 2300,
+  // Largest single portion accepted, in grams
+  MAX_PORTION: 5000,
+  // How far back recent foods are looked up, and how many are kept
+  RECENT_DAYS: 30,
+  RECENT_LIMIT: 8,
+  
+  database: null,
+  loading: null,
+  
+  /**
+   * The food database ({ version, source, foods }), fetched once
+   */
+  async loadDatabase() {
+    if (this.database) return this.database;
+    if (!this.loading) {
+      this.loading = fetch(this.DATABASE_URL)
+        .then(response => {
+          if (!response.ok) throw new Error(`Food database unavailable (${response.status})`);
+          return response.json();
+        })
+        .then(database => {
+          this.database = database;
+          return database;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  },
+  
+  async getFoods() {
+    return (await this.loadDatabase()).foods;
+  },
+  
+  async getFood(id) {
+    return (await this.getFoods()).find(food => food.id === id) || null;
+  },
+  
+  /**
+   * Foods whose name or an alias contains every word of the query,
+   * those starting with it first
+   */
+  async searchFoods(query, limit = 20) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+    
+    const text = food => [food.name, ...(food.aliases || [])].join(' ').toLowerCase();
+    const first = words[0];
+    const startsWith = food => [food.name, ...(food.aliases || [])].some(name => name.toLowerCase().startsWith(first));
+    return (await this.getFoods())
+      .filter(food => words.every(word => text(food).includes(word)))
+      .sort((a, b) => startsWith(b) - startsWith(a) || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  },
+  
+  /**
+   * Nutrients in `grams` of a food. Calories and sodium (mg) are whole
+   * numbers, grams of macros have one decimal.
+   */
+  getNutrients(food, grams) {
+    const nutrients = {};
+    this.NUTRIENTS.forEach(nutrient => {
+      const amount = (food[nutrient] || 0) * grams / 100;
+      nutrients[nutrient] = ['calories', 'sodium'].includes(nutrient)
+        ? Math.round(amount)
+        : Math.round(amount * 10) / 10;
+    });
+    return nutrients;
+  },
+  
+  /**
+   * The meal a food eaten at a time most likely belongs to
+   */
+  guessMeal(time = new Date()) {
+    const hour = time.getHours();
+    if (hour >= 5 && hour < 11) return 'breakfast';
+    if (hour >= 11 && hour < 15) return 'lunch';
+    if (hour >= 18 && hour < 23) return 'dinner';
+    return 'snacks';
+  },
+  
+  /**
+   * Log `grams` of a food as part of a meal on a date
+   */
+  async logFood({ foodId, grams, meal, date = DateUtils.today(), timestamp = StorageManager.getDefaultTimestamp(date) }) {
+    const food = await this.getFood(foodId);
+    if (!food) {
+      throw new Error('Food not found');
+    }
+    const amount = Number(grams);
+    if (!(amount > 0 && amount <= this.MAX_PORTION)) {
+      throw new Error(`Portion must be between 1 and ${this.MAX_PORTION} g`);
+    }
+    if (!this.MEALS[meal]) {
+      throw new Error(`Unknown meal: ${meal}`);
+    }
+    
+    const nutrients = this.getNutrients(food, amount);
+    const details = { foodLogId: StorageManager.generateId(), meal, foodId, name: food.name, grams: Math.round(amount) };
+    const readings = await StorageManager.addReadings(this.NUTRIENTS.map(nutrient => ({
+      metric: nutrient,
+      value: nutrients[nutrient],
+      timestamp,
+      date,
+      details
+    })));
+    return this.toItems(readings)[0];
+  },
+  
+  /**
+   * Group a day's readings into logged foods:
+   * [{ foodLogId, ids, meal, foodId, name, grams, timestamp, nutrients }]
+   */
+  toItems(readings) {
+    const items = new Map();
+    readings.filter(reading => reading.details && reading.details.foodLogId).forEach(reading => {
+      const { foodLogId, meal, foodId, name, grams } = reading.details;
+      if (!items.has(foodLogId)) {
+        const nutrients = Object.fromEntries(this.NUTRIENTS.map(nutrient => [nutrient, 0]));
+        items.set(foodLogId, { foodLogId, ids: [], meal, foodId, name, grams, timestamp: reading.timestamp, nutrients });
+      }
+      const item = items.get(foodLogId);
+      item.ids.push(reading.id);
+      item.nutrients[reading.metric] = reading.value;
+    });
+    return [...items.values()];
+  },
+  
+  /**
+   * Sum of nutrients over logged foods
+   */
+  getTotals(items) {
+    const totals = Object.fromEntries(this.NUTRIENTS.map(nutrient => [nutrient, 0]));
+    items.forEach(item => {
+      this.NUTRIENTS.forEach(nutrient => {
+        totals[nutrient] += item.nutrients[nutrient] || 0;
+      });
+    });
+    this.NUTRIENTS.forEach(nutrient => {
+      totals[nutrient] = Math.round(totals[nutrient] * 10) / 10;
+    });
+    return totals;
+  },
+  
+  /**
+   * A day's food log per meal, the day's totals and how its calories
+   * compare to the calorie goal. `otherCalories` are calories logged
+   * without a food; they count towards `calories` and the goal.
+   */
+  async getDay(date = DateUtils.today()) {
+    const [readings, goals] = await Promise.all([
+      StorageManager.getReadings(date),
+      StorageManager.getGoals()
+    ]);
+    const items = this.toItems(readings);
+    const otherCalories = StorageManager.aggregate(readings
+      .filter(reading => reading.metric === 'calories' && !(reading.details && reading.details.foodLogId))
+      .map(reading => reading.value), 'sum') || 0;
+    const totals = this.getTotals(items);
+    const calories = totals.calories + otherCalories;
+    const goal = goals && goals.calories ? goals.calories : null;
+    
+    return {
+      date,
+      meals: Object.entries(this.MEALS).map(([meal, label]) => {
+        const mealItems = items.filter(item => item.meal === meal);
+        return { meal, label, items: mealItems, totals: this.getTotals(mealItems) };
+      }),
+      totals,
+      otherCalories,
+      calories,
+      goal,
+      remaining: goal === null ? null : goal - calories,
+      percentOfGoal: goal === null ? null : Math.round(calories / goal * 100),
+      macroSplit: this.getMacroSplit(totals)
+    };
+  },
+  
+  /**
+   * Energy from protein, carbs and fat in kcal
+   */
+  getMacroEnergy(totals) {
+    return Object.fromEntries(Object.entries(this.KCAL_PER_GRAM)
+      .map(([macro, kcal]) => [macro, Math.round((totals[macro] || 0) * kcal)]));
+  },
+  
+  /**
+   * Share of energy from protein, carbs and fat in percent, or null
+   * when nothing with macros was logged
+   */
+  getMacroSplit(totals) {
+    const energy = this.getMacroEnergy(totals);
+    const total = Object.values(energy).reduce((sum, value) => sum + value, 0);
+    if (total === 0) return null;
+    return Object.fromEntries(Object.entries(energy).map(([macro, value]) => [macro, Math.round(value / total * 100)]));
+  },
+  
+  /**
+   * Remove a logged food (all of its nutrient readings) as one change
+   */
+  async deleteItem(item) {
+    return StorageManager.deleteReadings(item.ids);
+  },
+  
+  /**
+   * Foods logged in the last RECENT_DAYS days, most recent first, each
+   * with the portion and meal it was last logged with
+   */
+  async getRecentFoods(limit = this.RECENT_LIMIT) {
+    const today = DateUtils.today();
+    const [readings, foods] = await Promise.all([
+      StorageManager.getReadingsInRange(DateUtils.addDays(today, -(this.RECENT_DAYS - 1)), today, 'calories'),
+      this.getFoods()
+    ]);
+    
+    const recent = new Map();
+    [...readings].reverse().forEach(reading => {
+      const details = reading.details;
+      if (!details || !details.foodId || recent.has(details.foodId)) return;
+      const food = foods.find(candidate => candidate.id === details.foodId);
+      if (food) recent.set(details.foodId, { food, grams: details.grams, meal: details.meal });
+    });
+    return [...recent.values()].slice(0, limit);
+  },
+  
+  async getFavorites() {
+    const [settings, foods] = await Promise.all([StorageManager.getSettings(), this.getFoods()]);
+    return (settings.favoriteFoods || [])
+      .map(id => foods.find(food => food.id === id))
+      .filter(Boolean);
+  },
+  
+  /**
+   * Add a food to the favourites, or remove it if it is one already.
+   * Returns whether it is now a favourite.
+   */
+  async toggleFavorite(foodId) {
+    const settings = await StorageManager.getSettings();
+    const favorites = settings.favoriteFoods || [];
+    const favorite = !favorites.includes(foodId);
+    await StorageManager.updateSettings({
+      favoriteFoods: favorite ? [...favorites, foodId] : favorites.filter(id => id !== foodId)
+    });
+    return favorite;
+  }
+};
+
+// Expose to window
+window.FoodLog = FoodLog;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FoodLog;
+}
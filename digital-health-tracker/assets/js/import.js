@@ -0,0 +1,682 @@
+// import.js - Data import for Digital Health Tracker
+// Reads CSV files (our own exports or any spreadsheet) into entries
+
+/**
+ * Import Manager
+ * An import runs in three steps so nothing is written before the user
+ * has seen what will change:
+ *
+ * 1. loadCSV() parses the file (RFC 4180: quoted fields may hold
+ *    delimiters, doubled quotes and line breaks) and guesses a mapping
+ *    of columns to entry fields, each column's unit and the date format.
+ * 2. planImport() turns the rows into entries with that mapping and
+ *    compares them with the stored days: each row is an 'add', an
+ *    'update', 'unchanged' or a 'reject' with its reasons.
+ * 3. applyImport() saves the added and changed fields.
+ *
+ * Values are converted to canonical units (see UnitSystem) from the
+ * unit chosen for their column. ExportManager.exportCSV output maps
+ * without any changes and imports back as unchanged.
+ *
+ * Wearable exports (AppleHealthImport, WearableImport) share the same
+ * dry run and save. Their samples are folded into days by a collector
+ * (createCollector), and zip archives are read with listZip().
+ */
+const ImportManager = {
+  DELIMITERS: [',', ';', '\t'],
+  
+  // Year, month and day capture groups of each date format
+  DATE_FORMATS: {
+    'YYYY-MM-DD': { pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/, order: [1, 2, 3] },
+    'DD/MM/YYYY': { pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/, order: [3, 2, 1] },
+    'MM/DD/YYYY': { pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/, order: [3, 1, 2] }
+  },
+  
+  // Other header names of entry fields, lowercase without spaces or
+  // punctuation. Field ids and validator labels match as well.
+  FIELD_ALIASES: {
+    date: ['day'],
+    steps: ['step', 'stepcount'],
+    heartRate: ['hr', 'restingheartrate', 'avgheartrate', 'averageheartrate'],
+    sleep: ['sleephours', 'hoursslept', 'sleepduration'],
+    water: ['waterintake', 'hydration'],
+    calories: ['kcal', 'caloriesconsumed', 'caloriesin', 'energy'],
+    weight: ['bodyweight', 'mass'],
+    bodyFat: ['bodyfatpercentage', 'fat%'],
+    waist: ['waistcircumference'],
+    exercise: ['exerciseminutes', 'activeminutes', 'workoutminutes'],
+    caloriesBurned: ['activecalories', 'activeenergy', 'caloriesout'],
+    systolic: ['sys', 'systolicbp'],
+    diastolic: ['dia', 'diastolicbp'],
+    glucose: ['bloodsugar', 'bloodglucose']
+  },
+  
+  // Fields logged only through their own pages, with details
+  EXCLUDED_FIELDS: ['doses', 'symptomSeverity'],
+  
+  // Units accepted besides the UnitSystem ones: amount in canonical units
+  EXTRA_UNITS: {
+    water: { l: 1000, glasses: 250 }
+  },
+  
+  // Decimal places kept for collected daily values; other fields keep
+  // none if whole-number, else one (see finishCollector)
+  DECIMALS: { sleep: 2 },
+  
+  // Other spellings of units in headers
+  UNIT_ALIASES: {
+    litres: 'l',
+    liters: 'l',
+    oz: 'fl oz',
+    glass: 'glasses',
+    lbs: 'lb',
+    pounds: 'lb',
+    inches: 'in',
+    kgs: 'kg'
+  },
+  
+  /**
+   * The delimiter used most in the first line, outside quotes
+   */
+  detectDelimiter(text) {
+    const counts = new Map(this.DELIMITERS.map(delimiter => [delimiter, 0]));
+    let quoted = false;
+    for (const char of text) {
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (!quoted && (char === '\n' || char === '\r')) {
+        break;
+      } else if (!quoted && counts.has(char)) {
+        counts.set(char, counts.get(char) + 1);
+      }
+    }
+    const [delimiter, count] = [...counts].sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? delimiter : ',';
+  },
+  
+  /**
+   * Parse CSV text into rows of cells (RFC 4180). Accepts CRLF, LF or
+   * CR line breaks and a byte order mark; skips blank lines.
+   */
+  parseCSV(text, delimiter = this.detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let wasQuoted = false;
+    
+    for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char !== '"') {
+          field += char;
+        } else if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (char === '"' && field === '' && !wasQuoted) {
+        quoted = true;
+        wasQuoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+        wasQuoted = false;
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        wasQuoted = false;
+      } else {
+        field += char;
+      }
+    }
+    if (quoted) {
+      throw new Error(`Row ${rows.length + 1} has a quote that is never closed`);
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  },
+  
+  /**
+   * Header name and unit, normalized: 'Water (fl oz)' -> { name: 'water', unit: 'fl oz' }
+   */
+  parseHeader(header) {
+    const match = String(header).trim().match(/^(.*?)\s*(?:\(([^)]*)\)|\[([^\]]*)\])?$/);
+    const unit = (match[2] || match[3] || '').trim().toLowerCase();
+    return {
+      name: match[1].toLowerCase().replace(/[^a-z0-9%]/g, ''),
+      unit: this.UNIT_ALIASES[unit] || unit
+    };
+  },
+  
+  /**
+   * Fields a column can be mapped to: [{ field, label }], schema fields
+   * first, then custom metrics
+   */
+  getImportFields() {
+    const schema = Object.entries(EntryValidator.SCHEMA)
+      .filter(([field]) => !this.EXCLUDED_FIELDS.includes(field))
+      .map(([field, rule]) => ({ field, label: rule.label }));
+    const custom = StorageManager.customMetrics.map(metric => ({ field: metric.id, label: metric.name }));
+    return [...schema, ...custom];
+  },
+  
+  /**
+   * Units a field's column can be in, as canonical units per unit
+   * (e.g. { kg: 1, lb: 0.4536 }), or null for fields without units
+   */
+  getUnits(field) {
+    const quantity = UnitSystem.QUANTITIES[field];
+    if (!quantity) return null;
+    const units = {};
+    UnitSystem.SYSTEMS.forEach(system => {
+      units[quantity[system].unit] = 1 / quantity[system].factor;
+    });
+    return { ...units, ...this.EXTRA_UNITS[field] };
+  },
+  
+  toCanonical(field, value, unit) {
+    const units = this.getUnits(field);
+    if (!units || !units[unit]) return value;
+    return Math.round(value * units[unit] * 10) / 10;
+  },
+  
+  /**
+   * Guess the field and unit of each column from its header:
+   * [{ header, field, unit }]. Each field is mapped once; columns left
+   * unmatched have a null field. Columns without a unit in their header
+   * are taken to be in the user's display units.
+   */
+  createMapping(headers) {
+    const fields = this.getImportFields();
+    const mapped = new Set();
+    
+    return headers.map(header => {
+      const { name, unit } = this.parseHeader(header);
+      const match = fields.find(({ field, label }) => !mapped.has(field) && [
+        field.toLowerCase(),
+        label.toLowerCase().replace(/[^a-z0-9%]/g, ''),
+        ...(this.FIELD_ALIASES[field] || [])
+      ].includes(name));
+      if (!match) return { header, field: null, unit: null };
+      
+      mapped.add(match.field);
+      const units = this.getUnits(match.field);
+      return {
+        header,
+        field: match.field,
+        unit: units ? (units[unit] ? unit : UnitSystem.unit(match.field)) : null
+      };
+    });
+  },
+  
+  /**
+   * YYYY-MM-DD key of a date in the given format, or null. A time after
+   * the date ('2025-11-18T08:00', '18/11/2025 08:00') is ignored.
+   */
+  parseDate(value, format) {
+    const spec = this.DATE_FORMATS[format];
+    const match = spec && String(value).trim().split(/[T\s]/)[0].match(spec.pattern);
+    if (!match) return null;
+    
+    const [year, month, day] = spec.order.map(group => Number(match[group]));
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return DateUtils.toKey(date);
+  },
+  
+  /**
+   * Date formats that read the most values, most likely first. A few
+   * bad dates don't stop detection; they are rejected with their rows.
+   */
+  detectDateFormats(values) {
+    const dates = values.filter(value => String(value).trim() !== '');
+    const counts = Object.keys(this.DATE_FORMATS).map(format => ({
+      format,
+      count: dates.filter(value => this.parseDate(value, format)).length
+    }));
+    const best = Math.max(...counts.map(({ count }) => count));
+    return best > 0 ? counts.filter(({ count }) => count === best).map(({ format }) => format) : [];
+  },
+  
+  /**
+   * Parse a CSV file and guess how to read it:
+   * { headers, rows, mapping, dateFormat, dateFormats }. More than one
+   * entry in `dateFormats` means the dates read either way (e.g.
+   * 03/04/2025) and the user should confirm which.
+   */
+  loadCSV(text) {
+    const [headers, ...rows] = this.parseCSV(text);
+    if (!headers || rows.length === 0) {
+      throw new Error('The file has no data rows');
+    }
+    
+    const mapping = this.createMapping(headers);
+    const dateColumn = mapping.findIndex(column => column.field === 'date');
+    const dateFormats = dateColumn === -1 ? [] : this.detectDateFormats(rows.map(cells => cells[dateColumn] || ''));
+    return {
+      headers,
+      rows,
+      mapping,
+      dateFormat: dateFormats[0] || 'YYYY-MM-DD',
+      dateFormats
+    };
+  },
+  
+  /**
+   * Read rows into entries with a column mapping:
+   * [{ row, entry, units, errors }], `row` being the line number in the
+   * file. Zeros in fields that can't be zero (heart rate, weight) are
+   * read as not logged, as older CSV exports wrote them for empty values.
+   */
+  readRows(rows, mapping, dateFormat) {
+    return rows.map((cells, index) => {
+      const record = { row: index + 2, entry: {}, units: {}, errors: [] };
+      
+      mapping.forEach((column, position) => {
+        const cell = (cells[position] || '').trim();
+        if (!column.field || cell === '') return;
+        
+        if (column.field === 'date') {
+          const date = this.parseDate(cell, dateFormat);
+          if (date) {
+            record.entry.date = date;
+          } else {
+            record.errors.push(`"${cell}" is not a ${dateFormat} date`);
+          }
+          return;
+        }
+        
+        const rule = EntryValidator.getRule(column.field);
+        if (rule.type === 'string') {
+          record.entry[column.field] = cell;
+          return;
+        }
+        const number = Number(cell);
+        if (!Number.isFinite(number)) {
+          record.errors.push(`${rule.label}: "${cell}" is not a number`);
+          return;
+        }
+        if (number === 0 && rule.min > 0) return;
+        record.entry[column.field] = column.unit ? this.toCanonical(column.field, number, column.unit) : number;
+        if (column.unit) record.units[column.field] = column.unit;
+      });
+      
+      if (!record.entry.date && record.errors.length === 0) {
+        record.errors.push('No date');
+      }
+      return record;
+    });
+  },
+  
+  /**
+   * Whether an imported value is what is already stored. Converted
+   * numbers match within the rounding of their column's unit, so a
+   * file exported in fl oz or lb imports back as unchanged.
+   */
+  isSameValue(field, stored, imported, unit) {
+    if (typeof stored !== 'number' || typeof imported !== 'number') return stored === imported;
+    const units = unit ? this.getUnits(field) : null;
+    const step = units && units[unit] ? units[unit] : 1;
+    return Math.abs(stored - imported) < step * 0.05 + 1e-9;
+  },
+  
+  /**
+   * Dry run: validate records from readRows() and compare them with the
+   * stored days. Returns { rows, counts } where each row is
+   * { row, date, status, changes, errors, warnings } with a status of
+   * 'add', 'update', 'unchanged' or 'reject', and `changes` holds the
+   * fields that would be written.
+   * A metric a day already has logged item by item (food for calories,
+   * workouts for exercise; see StorageManager.ITEM_DETAILS) is left out
+   * with a warning: its value is the total of those items, which
+   * saveEntry can't overwrite.
+   */
+  async planImport(records) {
+    const existing = new Map((await StorageManager.getEntries()).map(entry => [entry.date, entry]));
+    const logged = await this.getLoggedMetrics(records.map(record => record.entry.date));
+    const seen = new Map();
+    
+    const rows = records.map(record => {
+      const result = {
+        row: record.row,
+        date: record.entry.date || null,
+        status: 'reject',
+        changes: {},
+        errors: [...record.errors],
+        warnings: []
+      };
+      if (result.errors.length > 0) return result;
+      
+      const validation = EntryValidator.validateEntry(record.entry);
+      result.errors.push(...validation.errors.map(issue => issue.message));
+      result.warnings.push(...validation.warnings.map(issue => issue.message));
+      if (result.errors.length === 0 && seen.has(result.date)) {
+        result.errors.push(`Same date as row ${seen.get(result.date)}`);
+      }
+      if (result.errors.length > 0) return result;
+      seen.set(result.date, record.row);
+      
+      const stored = existing.get(result.date) || {};
+      const loggedMetrics = logged.get(result.date) || new Set();
+      Object.entries(validation.entry).forEach(([field, value]) => {
+        if (loggedMetrics.has(field)) {
+          result.warnings.push(`Kept the logged ${EntryValidator.getRule(field).label.toLowerCase()}`);
+        } else if (field !== 'date' && !this.isSameValue(field, stored[field], value, record.units[field])) {
+          result.changes[field] = value;
+        }
+      });
+      
+      const changed = Object.keys(result.changes).length > 0;
+      if (!existing.has(result.date)) {
+        result.status = changed ? 'add' : 'reject';
+        if (!changed) result.errors.push('No values to import');
+      } else {
+        result.status = changed ? 'update' : 'unchanged';
+      }
+      return result;
+    });
+    
+    const counts = { add: 0, update: 0, unchanged: 0, reject: 0 };
+    rows.forEach(row => counts[row.status]++);
+    return { rows, counts };
+  },
+  
+  /**
+   * Metrics with readings of logged items (see
+   * StorageManager.isItemReading) on each of the given days:
+   * Map of date -> Set of metrics
+   */
+  async getLoggedMetrics(dates) {
+    const keys = dates.filter(date => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)).sort();
+    const logged = new Map();
+    if (keys.length === 0) return logged;
+    
+    (await StorageManager.getReadingsInRange(keys[0], keys[keys.length - 1]))
+      .filter(reading => StorageManager.isItemReading(reading))
+      .forEach(reading => {
+        if (!logged.has(reading.date)) logged.set(reading.date, new Set());
+        logged.get(reading.date).add(reading.metric);
+      });
+    return logged;
+  },
+  
+  /**
+   * Dry run for entries read from another format (see
+   * finishCollector), already in canonical units
+   */
+  planEntries(entries) {
+    return this.planImport(entries.map((entry, index) => ({ row: index + 1, entry, units: {}, errors: [] })));
+  },
+  
+  /**
+   * Collector that folds samples from a wearable export (see
+   * AppleHealthImport, WearableImport) into daily entries. Samples are
+   * aggregated the way the app rolls up its own readings (see
+   * StorageManager.METRIC_ROLLUPS):
+   * - summed fields are totalled per source, and the day keeps the
+   *   source with the largest total. A phone and a watch both count the
+   *   same steps, so adding sources up double counts.
+   * - averaged fields are the mean of all samples;
+   * - 'last' fields keep the latest sample by time.
+   * Sleep can also be given as intervals (collectSleep), which are
+   * merged across sources so overlapping records count once.
+   */
+  createCollector() {
+    return {
+      // date -> field -> source -> total
+      sums: new Map(),
+      // date -> field -> { total, count }
+      means: new Map(),
+      // date -> field -> { time, value }
+      latest: new Map(),
+      // date -> { asleep: [[start, end]], inBed: [[start, end]] }
+      sleep: new Map(),
+      records: 0,
+      skipped: 0
+    };
+  },
+  
+  /**
+   * Add a sample (in canonical units) to a day. `time` orders samples
+   * of 'last' fields.
+   */
+  collect(collector, date, field, value, { source = '', time = 0 } = {}) {
+    if (!Number.isFinite(value) || !date) {
+      collector.skipped++;
+      return;
+    }
+    const slot = (map, key, create) => {
+      if (!map.has(key)) map.set(key, create());
+      return map.get(key);
+    };
+    
+    const rollup = StorageManager.getRollup(field);
+    if (rollup === 'sum') {
+      const sources = slot(slot(collector.sums, date, () => new Map()), field, () => new Map());
+      sources.set(source, (sources.get(source) || 0) + value);
+    } else if (rollup === 'mean') {
+      const mean = slot(slot(collector.means, date, () => new Map()), field, () => ({ total: 0, count: 0 }));
+      mean.total += value;
+      mean.count++;
+    } else {
+      const latest = slot(collector.latest, date, () => new Map());
+      if (!latest.has(field) || time >= latest.get(field).time) {
+        latest.set(field, { time, value });
+      }
+    }
+    collector.records++;
+  },
+  
+  /**
+   * Add a sleep interval (ms since the epoch) to the night ending on
+   * `date`. In-bed time is only used for nights without any asleep time.
+   */
+  collectSleep(collector, date, start, end, inBed = false) {
+    if (!(end > start) || !date) {
+      collector.skipped++;
+      return;
+    }
+    if (!collector.sleep.has(date)) collector.sleep.set(date, { asleep: [], inBed: [] });
+    collector.sleep.get(date)[inBed ? 'inBed' : 'asleep'].push([start, end]);
+    collector.records++;
+  },
+  
+  /**
+   * Total milliseconds covered by a set of possibly overlapping intervals
+   */
+  getCoveredTime(intervals) {
+    let total = 0;
+    let current = null;
+    [...intervals].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+      if (current && start <= current[1]) {
+        current[1] = Math.max(current[1], end);
+      } else {
+        if (current) total += current[1] - current[0];
+        current = [start, end];
+      }
+    });
+    return current ? total + current[1] - current[0] : total;
+  },
+  
+  /**
+   * Daily entries from a collector, oldest first, with their summary
+   * (see summarizeEntries) and the number of samples read and skipped
+   */
+  finishCollector(collector) {
+    const days = new Map();
+    const set = (date, field, value) => {
+      if (!days.has(date)) days.set(date, { date });
+      const rule = EntryValidator.getRule(field);
+      const scale = 10 ** (this.DECIMALS[field] ?? (rule && rule.type === 'integer' ? 0 : 1));
+      days.get(date)[field] = Math.round(value * scale) / scale;
+    };
+    
+    collector.sums.forEach((fields, date) => fields.forEach((sources, field) => set(date, field, Math.max(...sources.values()))));
+    collector.means.forEach((fields, date) => fields.forEach(({ total, count }, field) => set(date, field, total / count)));
+    collector.latest.forEach((fields, date) => fields.forEach(({ value }, field) => set(date, field, value)));
+    collector.sleep.forEach(({ asleep, inBed }, date) => {
+      set(date, 'sleep', this.getCoveredTime(asleep.length > 0 ? asleep : inBed) / 3600000);
+    });
+    
+    const entries = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+    return {
+      entries,
+      summary: this.summarizeEntries(entries),
+      records: collector.records,
+      skipped: collector.skipped
+    };
+  },
+  
+  /**
+   * Date coverage and filled fields of imported entries:
+   * { days, startDate, endDate, fields: [{ field, label, days }] }
+   */
+  summarizeEntries(entries) {
+    const counts = new Map();
+    entries.forEach(entry => Object.keys(entry).forEach(field => {
+      if (field !== 'date') counts.set(field, (counts.get(field) || 0) + 1);
+    }));
+    return {
+      days: entries.length,
+      startDate: entries.length > 0 ? entries[0].date : null,
+      endDate: entries.length > 0 ? entries[entries.length - 1].date : null,
+      fields: [...counts].map(([field, days]) => ({ field, label: EntryValidator.getRule(field).label, days }))
+    };
+  },
+  
+  /**
+   * Whether a File is a zip archive
+   */
+  async isZip(file) {
+    const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+    return head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04;
+  },
+  
+  /**
+   * Files in a zip archive from its central directory (local headers
+   * may not hold the sizes): [{ name, method, size, offset }] with the
+   * compression method (0 stored, 8 deflated), compressed size and
+   * local header offset. Handles ZIP64 archives, which large exports
+   * can be.
+   */
+  async listZip(file) {
+    const tailSize = Math.min(file.size, 65557);
+    const tail = new DataView(await file.slice(file.size - tailSize).arrayBuffer());
+    let eocd = -1;
+    for (let i = tailSize - 22; i >= 0; i--) {
+      if (tail.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) throw new Error('Not a valid zip file');
+    
+    let directorySize = tail.getUint32(eocd + 12, true);
+    let directoryOffset = tail.getUint32(eocd + 16, true);
+    if (directoryOffset === 0xffffffff && eocd >= 20 && tail.getUint32(eocd - 20, true) === 0x07064b50) {
+      const locatorOffset = Number(tail.getBigUint64(eocd - 12, true));
+      const zip64 = new DataView(await file.slice(locatorOffset, locatorOffset + 56).arrayBuffer());
+      directorySize = Number(zip64.getBigUint64(40, true));
+      directoryOffset = Number(zip64.getBigUint64(48, true));
+    }
+    
+    const directory = new DataView(await file.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i + 46 <= directory.byteLength && directory.getUint32(i, true) === 0x02014b50;) {
+      const nameLength = directory.getUint16(i + 28, true);
+      const extraLength = directory.getUint16(i + 30, true);
+      const commentLength = directory.getUint16(i + 32, true);
+      const sizes = {
+        uncompressed: directory.getUint32(i + 24, true),
+        compressed: directory.getUint32(i + 20, true),
+        offset: directory.getUint32(i + 42, true)
+      };
+      
+      // ZIP64 extended information holds the fields set to 0xffffffff, in order
+      for (let extra = i + 46 + nameLength; extra < i + 46 + nameLength + extraLength;) {
+        const length = directory.getUint16(extra + 2, true);
+        if (directory.getUint16(extra, true) === 0x0001) {
+          let position = extra + 4;
+          Object.keys(sizes).forEach(key => {
+            if (sizes[key] === 0xffffffff) {
+              sizes[key] = Number(directory.getBigUint64(position, true));
+              position += 8;
+            }
+          });
+        }
+        extra += 4 + length;
+      }
+      
+      entries.push({
+        name: decoder.decode(new Uint8Array(directory.buffer, i + 46, nameLength)),
+        method: directory.getUint16(i + 10, true),
+        size: sizes.compressed,
+        offset: sizes.offset
+      });
+      i += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  },
+  
+  /**
+   * Stream of a zip entry's compressed data (see listZip)
+   */
+  async openZipEntry(file, entry) {
+    if (entry.method !== 0 && entry.method !== 8) {
+      throw new Error(`Unsupported compression in ${entry.name}`);
+    }
+    const local = new DataView(await file.slice(entry.offset, entry.offset + 30).arrayBuffer());
+    const start = entry.offset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    return file.slice(start, start + entry.size).stream();
+  },
+  
+  /**
+   * Text of a zip entry, inflated if needed
+   */
+  async readZipText(file, entry) {
+    const stream = await this.openZipEntry(file, entry);
+    return new Response(entry.method === 8 ? stream.pipeThrough(new DecompressionStream('deflate-raw')) : stream).text();
+  },
+  
+  /**
+   * Save the added and updated rows of a plan. Only changed fields are
+   * written, so readings of unchanged metrics are kept. Returns
+   * { saved, failed } with the rows that could not be saved.
+   */
+  async applyImport(plan) {
+    let saved = 0;
+    const failed = [];
+    
+    for (const row of plan.rows.filter(item => item.status === 'add' || item.status === 'update')) {
+      try {
+        if (!(await StorageManager.saveEntry({ date: row.date, ...row.changes, source: 'import' }))) {
+          throw new Error('Could not save');
+        }
+        saved++;
+      } catch (error) {
+        failed.push({ ...row, errors: [error.message] });
+      }
+    }
+    
+    console.log(`[Import] Saved ${saved} days, ${failed.length} failed`);
+    return { saved, failed };
+  }
+};
+
+// Expose to window
+window.ImportManager = ImportManager;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImportManager;
+}
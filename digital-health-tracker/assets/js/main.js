@@ -12,22 +12,49 @@ const App = {
   async init() {
     console.log('[App] Initializing Digital Health Tracker...');
     
+    // Tell the user whenever data could not be saved
+    window.addEventListener('storageWriteFailed', (e) => this.handleWriteFailure(e.detail));
+    
     // Initialize storage
-    await StorageManager.init();
+    try {
+      await StorageManager.init();
+    } catch (error) {
+      if (error.code === 'LOCKED') {
+        this.redirectToUnlock();
+        return;
+      }
+      throw error;
+    }
     
     // Apply theme
-    this.applyTheme();
+    await this.applyTheme();
+    this.applyUnitLabels();
+    
+    // Follow theme, week start and unit changes made in other tabs
+    StorageManager.subscribe('settings:changed', async (change) => {
+      if (!change.remote) return;
+      this.applyTheme();
+      await StorageManager.loadDisplaySettings();
+      this.applyUnitLabels();
+    });
+    
+    // Warn before the storage quota runs out
+    this.checkStorageHealth();
     
     // Register service worker
     this.registerServiceWorker();
     
     // Setup notification permissions if enabled
-    const settings = StorageManager.getSettings();
+    const settings = await StorageManager.getSettings();
     if (settings.notifications) {
       await NotificationManager.requestPermission();
       if (settings.reminderTime) {
         NotificationManager.scheduleDailyReminder(settings.reminderTime);
       }
+      // Dose reminders on pages that load the medication schedule
+      if (typeof MedicationManager !== 'undefined') {
+        MedicationManager.scheduleReminders();
+      }
     }
     
     console.log('[App] Initialization complete');
@@ -67,8 +94,8 @@ const App = {
   /**
    * Apply theme based on settings
    */
-  applyTheme() {
-    const settings = StorageManager.getSettings();
+  async applyTheme() {
+    const settings = await StorageManager.getSettings();
     const theme = settings.theme || 'light';
     document.documentElement.setAttribute('data-theme', theme);
     console.log('[App] Theme applied:', theme);
@@ -77,12 +104,12 @@ const App = {
   /**
    * Toggle theme
    */
-  toggleTheme() {
+  async toggleTheme() {
     const currentTheme = document.documentElement.getAttribute('data-theme');
     const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
     
     document.documentElement.setAttribute('data-theme', newTheme);
-    StorageManager.updateSettings({ theme: newTheme });
+    await StorageManager.updateSettings({ theme: newTheme });
     
     this.showToast(`Switched to ${newTheme} mode`, 'success');
   },
@@ -120,28 +147,36 @@ const App = {
   },
   
   /**
-   * Format date to YYYY-MM-DD
+   * Fill in unit labels marked with data-unit="<quantity>". Elements with
+   * data-unit-label get "<label> (<unit>)", others just the unit.
+   */
+  applyUnitLabels(root = document) {
+    root.querySelectorAll('[data-unit]').forEach(el => {
+      const unit = UnitSystem.unit(el.dataset.unit);
+      el.textContent = el.dataset.unitLabel ? `${el.dataset.unitLabel} (${unit})` : unit;
+    });
+  },
+  
+  /**
+   * Format date to YYYY-MM-DD (local day)
    */
   formatDate(date) {
-    const d = date instanceof Date ? date : new Date(date);
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+    return DateUtils.toKey(date instanceof Date ? date : new Date(date));
   },
   
   /**
    * Get today's date in YYYY-MM-DD format
    */
   getTodayDate() {
-    return this.formatDate(new Date());
+    return DateUtils.today();
   },
   
   /**
-   * Parse date string to Date object
+   * Parse date string to Date object. Bare YYYY-MM-DD keys are local
+   * days, not UTC midnight.
    */
   parseDate(dateString) {
-    return new Date(dateString);
+    return /^\d{4}-\d{2}-\d{2}$/.test(dateString) ? DateUtils.parseKey(dateString) : new Date(dateString);
   },
   
   /**
@@ -172,6 +207,19 @@ const App = {
     return emailRegex.test(email);
   },
   
+  /**
+   * Escape user-entered text (e.g. custom metric names) for innerHTML
+   */
+  escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    })[char]);
+  },
+  
   /**
    * Debounce function
    */
@@ -187,6 +235,44 @@ const App = {
     };
   },
   
+  /**
+   * Undo the last change to health data and report what happened
+   */
+  async undo() {
+    try {
+      const revision = await StorageManager.undo();
+      if (revision) {
+        this.showToast(`Undid change to ${revision.date} ↶`, 'success');
+      } else {
+        this.showToast('Nothing to undo', 'info');
+      }
+      return revision;
+    } catch (error) {
+      console.error('[App] Undo failed:', error);
+      this.showToast(`Undo failed: ${error.message}`, 'error');
+      return null;
+    }
+  },
+  
+  /**
+   * Redo the last undone change to health data
+   */
+  async redo() {
+    try {
+      const revision = await StorageManager.redo();
+      if (revision) {
+        this.showToast(`Redid change to ${revision.date} ↷`, 'success');
+      } else {
+        this.showToast('Nothing to redo', 'info');
+      }
+      return revision;
+    } catch (error) {
+      console.error('[App] Redo failed:', error);
+      this.showToast(`Redo failed: ${error.message}`, 'error');
+      return null;
+    }
+  },
+  
   /**
    * Navigate to page
    */
@@ -194,11 +280,65 @@ const App = {
     window.location.href = page;
   },
   
+  /**
+   * Warn when storage is close to the browser's quota
+   */
+  async checkStorageHealth() {
+    try {
+      const health = await StorageManager.checkStorageHealth();
+      if (health.status !== 'ok') {
+        this.showToast(
+          `Storage is ${health.percent}% full. Archive old entries in Settings to free up space.`,
+          health.status === 'critical' ? 'error' : 'warning',
+          8000
+        );
+      }
+      return health;
+    } catch (error) {
+      console.error('[App] Storage health check failed:', error);
+      return null;
+    }
+  },
+  
+  /**
+   * A write did not reach storage - make sure the user knows
+   */
+  handleWriteFailure({ quotaExceeded }) {
+    const message = quotaExceeded
+      ? 'Storage is full - your last change was NOT saved. Archive old entries in Settings to free up space.'
+      : 'Your last change could not be saved. Please try again.';
+    this.showToast(message, 'error', 10000);
+  },
+  
+  /**
+   * Format a byte count, e.g. 1536 -> "1.5 KB"
+   */
+  formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${Math.round(value * 10) / 10} ${units[unit]}`;
+  },
+  
+  /**
+   * Encrypted data stays locked until the password is entered on the
+   * login page (e.g. in a newly opened tab)
+   */
+  redirectToUnlock() {
+    if (!document.getElementById('loginForm')) {
+      this.navigateTo('index.html');
+    }
+  },
+  
   /**
    * Check if user is onboarded
    */
-  isOnboarded() {
-    const user = StorageManager.getUserProfile();
+  async isOnboarded() {
+    const user = await StorageManager.getUserProfile();
     return user && user.name && user.email;
   },
   
@@ -45,12 +45,16 @@ weightings: { age: 0.2, cholesterol: 0.15, bloodPressure: 0.2, smoking: 0.15, di
   /**
    * Calculate cardiovascular disease risk
    * Based on: Framingham Risk Score (D'Agostino et al., 2008)
+   * Blood pressure falls back to the account's healthData.bloodPressure,
+   * which VitalSigns keeps at the average of recent readings, and
+   * cholesterol to healthData.cholesterol, the latest lab results (see
+   * FHIRImport).
    */
   calculateCardiovascularRisk(healthData) {
     const age = healthData.age || 30;
-    const systolic = healthData.systolicBP || 120;
-    const cholesterol = healthData.totalCholesterol || 200;
-    const hdl = healthData.hdlCholesterol || 50;
+    const systolic = healthData.systolicBP || healthData.bloodPressure?.systolic || 120;
+    const cholesterol = healthData.totalCholesterol || healthData.cholesterol?.total || 200;
+    const hdl = healthData.hdlCholesterol || healthData.cholesterol?.hdl || 50;
     const smoker = healthData.smoker || false;
     const diabetic = healthData.diabetic || false;
     
@@ -117,7 +121,7 @@ weightings: { age: 0.2, cholesterol: 0.15, bloodPressure: 0.2, smoking: 0.15, di
       });
     }
     
-    if (data.systolicBP > 140) {
+    if ((data.systolicBP || data.bloodPressure?.systolic) > 140) {
       recommendations.push({
         priority: 'High',
         action: 'Monitor and manage blood pressure',
@@ -154,6 +158,8 @@ weightings: { age: 0.2, cholesterol: 0.15, bloodPressure: 0.2, smoking: 0.15, di
   /**
    * Calculate diabetes risk
    * Based on: American Diabetes Association risk test
+   * Glucose is scored with HbA1c when a lab result is on the account,
+   * counting whichever is in the higher ADA range.
    */
   calculateDiabetesRisk(healthData) {
     const age = healthData.age || 30;
@@ -161,7 +167,10 @@ weightings: { age: 0.2, cholesterol: 0.15, bloodPressure: 0.2, smoking: 0.15, di
     const waist = healthData.waistCircumference || 80;
     const familyHistory = healthData.diabetesFamilyHistory || false;
     const physicalActivity = healthData.weeklyExerciseHours || 2;
-    const bloodGlucose = healthData.fastingGlucose || 90;
+    const bloodGlucose = healthData.fastingGlucose || healthData.bloodGlucose || 90;
+    const hba1c = healthData.hba1c || 0;
+    const diabetic = bloodGlucose >= 126 || hba1c >= 6.5;
+    const preDiabetic = !diabetic && (bloodGlucose >= 100 || hba1c >= 5.7);
     
     let points = 0;
     
@@ -185,25 +194,25 @@ weightings: { age: 0.2, cholesterol: 0.15, bloodPressure: 0.2, smoking: 0.15, di
     // Physical activity
     if (physicalActivity < 2) points += 2;
     
-    // Blood glucose
-    if (bloodGlucose >= 126) points += 4; // Diabetic range
-    else if (bloodGlucose >= 100) points += 2; // Pre-diabetic
+    // Blood glucose or HbA1c
+    if (diabetic) points += 4; // Diabetic range
+    else if (preDiabetic) points += 2; // Pre-diabetic
     
     const risk = points >= 6 ? 'High' : points >= 3 ? 'Moderate' : 'Low';
     
     return {
       risk: risk,
       points: points,
-      preDiabetic: bloodGlucose >= 100 && bloodGlucose < 126,
-      diabetic: bloodGlucose >= 126,
-      recommendations: this.getDiabetesRecommendations(risk, bloodGlucose, bmi)
+      preDiabetic: preDiabetic,
+      diabetic: diabetic,
+      recommendations: this.getDiabetesRecommendations(risk, bloodGlucose, bmi, hba1c)
     };
   }
 
   /**
    * Get diabetes prevention recommendations
    */
-  getDiabetesRecommendations(risk, glucose, bmi) {
+  getDiabetesRecommendations(risk, glucose, bmi, hba1c = 0) {
     const recommendations = [];
     
     if (glucose >= 126) {
@@ -212,7 +221,13 @@ weightings: { age: 0.2, cholesterol: 0.15, bloodPressure: 0.2, smoking: 0.15, di
         action: 'Consult endocrinologist immediately',
         reason: 'Fasting glucose in diabetic range (≥126 mg/dL)'
       });
-    } else if (glucose >= 100) {
+    } else if (hba1c >= 6.5) {
+      recommendations.push({
+        priority: 'Urgent',
+        action: 'Consult endocrinologist immediately',
+        reason: 'HbA1c in diabetic range (≥6.5%)'
+      });
+    } else if (glucose >= 100 || hba1c >= 5.7) {
       recommendations.push({
         priority: 'High',
         action: 'Lifestyle modification and glucose monitoring',
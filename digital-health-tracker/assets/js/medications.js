@@ -0,0 +1,319 @@
+// medications.js - Medication schedules and adherence for Digital Health Tracker
+// Dose logging, adherence over time and dose reminders
+
+/**
+ * Medication Manager
+ * Medications are stored by StorageManager (see saveMedication). Each
+ * dose logged is a 'doses' reading of 1 (taken) or 0 (skipped) whose
+ * details say which medication and scheduled time it was for, so dose
+ * logs get undo, history and encryption like every other reading.
+ *
+ * Adherence is the share of scheduled doses taken, late or not. Doses
+ * of earlier days that were never logged count as missed; today's
+ * unlogged doses only count once they are logged or the day is over.
+ * As-needed (PRN) doses are counted but have no adherence.
+ */
+const MedicationManager = {
+  DOSE_STATUSES: {
+    taken: 'Taken',
+    late: 'Taken late',
+    skipped: 'Skipped',
+    missed: 'Missed',
+    due: 'Due',
+    upcoming: 'Upcoming'
+  },
+  // Doses taken later than this after their scheduled time are late
+  LATE_AFTER_MINUTES: 60,
+  // Days covered by the adherence report
+  ADHERENCE_DAYS: 30,
+  WEEKDAYS: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+  
+  remindersConnected: false,
+  midnightTimer: null,
+  
+  /**
+   * Add or update a medication (see StorageManager.saveMedication)
+   */
+  async saveMedication(definition) {
+    const medication = await StorageManager.saveMedication(definition);
+    await this.syncHealthData();
+    return medication;
+  },
+  
+  async deleteMedication(id) {
+    const deleted = await StorageManager.deleteMedication(id);
+    await this.syncHealthData();
+    return deleted;
+  },
+  
+  isActiveOn(medication, date) {
+    return medication.startDate <= date && (!medication.endDate || date <= medication.endDate);
+  },
+  
+  /**
+   * Whether a medication has doses scheduled on a date
+   */
+  isScheduledOn(medication, date) {
+    const { type, days } = medication.schedule;
+    return type === 'scheduled' &&
+      this.isActiveOn(medication, date) &&
+      (days.length === 0 || days.includes(DateUtils.parseKey(date).getDay()));
+  },
+  
+  /**
+   * When a dose scheduled at 'HH:MM' on a date is due
+   */
+  getDueDate(date, time) {
+    return new Date(`${date}T${time}:00`);
+  },
+  
+  /**
+   * Human-readable schedule, e.g. '08:00, 20:00 daily'
+   */
+  describeSchedule(medication) {
+    const { type, times, days } = medication.schedule;
+    if (type === 'prn') return 'As needed';
+    
+    const when = days.length === 0 || days.length === 7
+      ? 'daily'
+      : `on ${days.map(day => this.WEEKDAYS[day]).join(', ')}`;
+    return `${times.join(', ')} ${when}`;
+  },
+  
+  /**
+   * The chatbot's reference dosage for a common medication, e.g.
+   * { dosage, uses } for 'Ibuprofen', or null
+   */
+  getReferenceDosage(name) {
+    if (typeof MedicalChatbot === 'undefined') return null;
+    MedicalChatbot.init();
+    const reference = MedicalChatbot.medicalKnowledgeBase.medications.commonPain;
+    return reference[String(name).trim().toLowerCase()] || null;
+  },
+  
+  /**
+   * Doses logged between two dates inclusive (oldest first) as
+   * { id, date, timestamp, medicationId, scheduledTime, status }.
+   * scheduledTime is null for as-needed doses.
+   */
+  async getDoseLogs(startDate, endDate) {
+    const readings = await StorageManager.getReadingsInRange(startDate, endDate, 'doses');
+    return readings
+      .filter(reading => reading.details && reading.details.medicationId)
+      .map(reading => ({
+        id: reading.id,
+        date: reading.date,
+        timestamp: reading.timestamp,
+        timeZone: reading.timeZone,
+        medicationId: reading.details.medicationId,
+        scheduledTime: reading.details.scheduledTime || null,
+        status: reading.details.status || (reading.value ? 'taken' : 'skipped')
+      }));
+  },
+  
+  /**
+   * Log a dose. For a scheduled dose pass its `date` and `time`; a dose
+   * taken more than LATE_AFTER_MINUTES after it was due is logged as
+   * late. Without a time the dose is an as-needed one.
+   */
+  async logDose({ medicationId, date = DateUtils.today(), time = null, status = 'taken', timestamp = new Date().toISOString() }) {
+    if (!['taken', 'late', 'skipped'].includes(status)) {
+      throw new Error(`Unknown dose status: ${status}`);
+    }
+    const medications = await StorageManager.getMedications();
+    const medication = medications.find(existing => existing.id === medicationId);
+    if (!medication) {
+      throw new Error('Medication not found');
+    }
+    
+    if (time) {
+      if (!this.isScheduledOn(medication, date) || !medication.schedule.times.includes(time)) {
+        throw new Error(`${medication.name} is not scheduled at ${time} on ${date}`);
+      }
+      const logs = await this.getDoseLogs(date, date);
+      if (logs.some(log => log.medicationId === medicationId && log.scheduledTime === time)) {
+        throw new Error('This dose is already logged');
+      }
+      const minutesLate = (new Date(timestamp) - this.getDueDate(date, time)) / 60000;
+      if (status === 'taken' && minutesLate > this.LATE_AFTER_MINUTES) {
+        status = 'late';
+      }
+    } else if (status !== 'taken') {
+      throw new Error('As-needed doses can only be logged as taken');
+    }
+    
+    const reading = await StorageManager.addReading({
+      metric: 'doses',
+      value: status === 'skipped' ? 0 : 1,
+      timestamp,
+      date: time ? date : undefined,
+      details: { medicationId, scheduledTime: time, status }
+    });
+    return { ...reading, medication, status };
+  },
+  
+  /**
+   * Every scheduled dose between two dates with its status (see
+   * DOSE_STATUSES) and log, as { medication, date, time, at, status, log }
+   */
+  getDoses(medications, logs, startDate, endDate, now = new Date()) {
+    const key = (medicationId, date, time) => `${medicationId}|${date}|${time}`;
+    const logged = new Map(logs
+      .filter(log => log.scheduledTime)
+      .map(log => [key(log.medicationId, log.date, log.scheduledTime), log]));
+    const today = DateUtils.toKey(now);
+    
+    const doses = [];
+    for (let date = startDate; date <= endDate; date = DateUtils.addDays(date, 1)) {
+      medications.filter(medication => this.isScheduledOn(medication, date)).forEach(medication => {
+        medication.schedule.times.forEach(time => {
+          const log = logged.get(key(medication.id, date, time)) || null;
+          const at = this.getDueDate(date, time);
+          let status;
+          if (log) {
+            status = log.status;
+          } else if (date < today) {
+            status = 'missed';
+          } else {
+            status = at <= now ? 'due' : 'upcoming';
+          }
+          doses.push({ medication, date, time, at, status, log });
+        });
+      });
+    }
+    return doses;
+  },
+  
+  /**
+   * A day's scheduled doses (in time order) and as-needed doses taken
+   */
+  async getDaySchedule(date = DateUtils.today()) {
+    const [medications, logs] = await Promise.all([
+      StorageManager.getMedications(),
+      this.getDoseLogs(date, date)
+    ]);
+    const doses = this.getDoses(medications, logs, date, date).sort((a, b) => a.at - b.at);
+    const asNeeded = logs
+      .filter(log => !log.scheduledTime)
+      .map(log => ({ ...log, medication: medications.find(medication => medication.id === log.medicationId) }))
+      .filter(log => log.medication);
+    return { medications, doses, asNeeded };
+  },
+  
+  /**
+   * Adherence over a set of doses: counts per status and the percentage
+   * of counted doses taken (`percent`) and taken on time (`onTimePercent`),
+   * both null when no dose counts yet
+   */
+  getAdherence(doses) {
+    const counts = { taken: 0, late: 0, skipped: 0, missed: 0 };
+    doses.forEach(dose => {
+      if (dose.status in counts) counts[dose.status]++;
+    });
+    const total = counts.taken + counts.late + counts.skipped + counts.missed;
+    const percent = count => (total === 0 ? null : Math.round(count / total * 100));
+    return {
+      ...counts,
+      total,
+      percent: percent(counts.taken + counts.late),
+      onTimePercent: percent(counts.taken)
+    };
+  },
+  
+  /**
+   * Adherence per bucket of doses, e.g. per day or per week:
+   * [{ date, percent }] with `date` the bucket's first day
+   */
+  getAdherenceSeries(doses, bucketOf = date => date) {
+    const buckets = new Map();
+    doses.forEach(dose => {
+      const bucket = bucketOf(dose.date);
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+      buckets.get(bucket).push(dose);
+    });
+    return [...buckets].map(([date, group]) => ({ date, percent: this.getAdherence(group).percent }));
+  },
+  
+  /**
+   * Adherence of the last `days` days, overall, per medication and per
+   * day and week, for the medications page and the doctor report
+   */
+  async getAdherenceReport(days = this.ADHERENCE_DAYS) {
+    const endDate = DateUtils.today();
+    const startDate = DateUtils.addDays(endDate, -(days - 1));
+    const [allMedications, logs] = await Promise.all([
+      StorageManager.getMedications(),
+      this.getDoseLogs(startDate, endDate)
+    ]);
+    const medications = allMedications.filter(medication =>
+      medication.startDate <= endDate && (!medication.endDate || medication.endDate >= startDate));
+    const doses = this.getDoses(medications, logs, startDate, endDate);
+    
+    return {
+      startDate,
+      endDate,
+      overall: this.getAdherence(doses),
+      medications: medications.map(medication => ({
+        medication,
+        schedule: this.describeSchedule(medication),
+        active: this.isActiveOn(medication, endDate),
+        asNeededDoses: logs.filter(log => log.medicationId === medication.id && !log.scheduledTime).length,
+        ...this.getAdherence(doses.filter(dose => dose.medication.id === medication.id))
+      })),
+      daily: this.getAdherenceSeries(doses),
+      weekly: this.getAdherenceSeries(doses, date => DateUtils.startOfWeek(date))
+    };
+  },
+  
+  /**
+   * Remind about today's doses that are not due yet, and keep the
+   * reminders current as doses are logged, medications change and
+   * days pass
+   */
+  async scheduleReminders() {
+    if (typeof NotificationManager === 'undefined') return false;
+    
+    if (!this.remindersConnected) {
+      this.remindersConnected = true;
+      StorageManager.subscribe(
+        ['entry:added', 'entry:updated', 'entry:deleted', 'medications:changed', 'data:replaced'],
+        () => this.scheduleReminders()
+      );
+    }
+    
+    clearTimeout(this.midnightTimer);
+    const tomorrow = new Date();
+    tomorrow.setHours(24, 0, 5, 0);
+    this.midnightTimer = setTimeout(() => this.scheduleReminders(), tomorrow - new Date());
+    
+    const { doses } = await this.getDaySchedule();
+    return NotificationManager.scheduleDoseReminders(doses
+      .filter(dose => dose.status === 'upcoming')
+      .map(dose => ({ name: dose.medication.name, dose: dose.medication.dose, time: dose.time, at: dose.at })));
+  },
+  
+  /**
+   * Keep the account's healthData.medications (read by the chatbot) at
+   * the medications currently taken
+   */
+  async syncHealthData() {
+    if (typeof AuthSystem === 'undefined') return;
+    await AuthSystem.ready;
+    const user = AuthSystem.getCurrentUser();
+    if (!user) return;
+    
+    const today = DateUtils.today();
+    const medications = (await StorageManager.getMedications())
+      .filter(medication => this.isActiveOn(medication, today))
+      .map(medication => ({ name: medication.name, dose: medication.dose, schedule: this.describeSchedule(medication) }));
+    AuthSystem.updateProfile(user.id, { healthData: { medications } });
+  }
+};
+
+// Expose to window
+window.MedicationManager = MedicationManager;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MedicationManager;
+}
@@ -6,6 +6,8 @@
  * Manages browser notifications for health reminders
  */
 const NotificationManager = {
+  // Timers of today's pending dose reminders
+  doseReminderTimers: [],
   
   /**
    * Check if notifications are supported
@@ -116,6 +118,42 @@ const NotificationManager = {
     });
   },
   
+  /**
+   * Show medication dose reminder notification
+   */
+  showDoseReminder(name, dose, time) {
+    return this.show('Medication Reminder 💊', {
+      body: `Time to take ${name}${dose ? ` (${dose})` : ''} - due at ${time}`,
+      icon: '/assets/images/icon-192x192.png',
+      tag: `dose-${name}-${time}`,
+      requireInteraction: true
+    });
+  },
+  
+  /**
+   * Schedule reminders for doses due later today, replacing the ones
+   * scheduled before. Each dose is { name, dose, time, at } where `at`
+   * is the Date it is due.
+   */
+  scheduleDoseReminders(doses) {
+    this.doseReminderTimers.forEach(timer => clearTimeout(timer));
+    this.doseReminderTimers = [];
+    
+    if (!this.isSupported() || Notification.permission !== 'granted') {
+      return false;
+    }
+    
+    const now = new Date();
+    doses.filter(dose => dose.at > now).forEach(dose => {
+      this.doseReminderTimers.push(setTimeout(() => {
+        this.showDoseReminder(dose.name, dose.dose, dose.time);
+      }, dose.at - now));
+    });
+    
+    console.log(`[Notifications] ${this.doseReminderTimers.length} dose reminder(s) scheduled`);
+    return true;
+  },
+  
   /**
    * Schedule daily reminder
    */
@@ -192,8 +230,8 @@ const NotificationManager = {
       alerts.push('Your heart rate is elevated. Consider consulting a doctor if this persists.');
     }
     
-    // Low water intake
-    if (entry.water < 3) {
+    // Low water intake (under 750 ml)
+    if (entry.water < 750) {
       alerts.push('Low water intake detected. Stay hydrated!');
     }
     
@@ -91,8 +91,8 @@ const RecommendationEngine = {
       });
     }
     
-    // Hydration analysis
-    if (entry.water < 3) {
+    // Hydration analysis (water is in ml)
+    if (entry.water < 750) {
       recommendations.push({
         type: 'warning',
         category: 'hydration',
@@ -105,11 +105,11 @@ const RecommendationEngine = {
         ],
         priority: 'high'
       });
-    } else if (entry.water < (goals?.water || 8)) {
+    } else if (entry.water < (goals?.water || 2000)) {
       recommendations.push({
         type: 'info',
         category: 'hydration',
-        message: `Drink ${goals.water - entry.water} more glasses to reach your goal.`,
+        message: `Drink ${UnitSystem.format('water', (goals?.water || 2000) - entry.water)} more to reach your goal.`,
         tips: [
           'Have a glass of water now',
           'Drink water before bed'
@@ -211,10 +211,10 @@ const RecommendationEngine = {
     const insights = [];
     
     // Calculate averages
-    const avgSteps = entries.reduce((sum, e) => sum + (e.steps || 0), 0) / entries.length;
-    const avgSleep = entries.reduce((sum, e) => sum + (e.sleep || 0), 0) / entries.length;
-    const avgWater = entries.reduce((sum, e) => sum + (e.water || 0), 0) / entries.length;
-    const avgHeartRate = entries.reduce((sum, e) => sum + (e.heartRate || 0), 0) / entries.length;
+    const avgSteps = StorageManager.aggregateEntries(entries, 'steps') || 0;
+    const avgSleep = StorageManager.aggregateEntries(entries, 'sleep') || 0;
+    const avgWater = StorageManager.aggregateEntries(entries, 'water') || 0;
+    const avgHeartRate = StorageManager.aggregateEntries(entries, 'heartRate') || 0;
     
     // Sleep trend
     if (avgSleep < 6.5) {
@@ -253,12 +253,12 @@ const RecommendationEngine = {
     }
     
     // Hydration trend
-    if (avgWater < 5) {
+    if (avgWater < 1250) {
       trends.push({
         category: 'hydration',
         direction: 'concern',
         message: 'Consistently low water intake',
-        value: avgWater.toFixed(1)
+        value: UnitSystem.format('water', avgWater)
       });
       insights.push('Set reminders to drink water throughout the day.');
     }
@@ -268,8 +268,8 @@ const RecommendationEngine = {
       const recent = entries.slice(0, 3);
       const older = entries.slice(-3);
       
-      const recentAvgSteps = recent.reduce((sum, e) => sum + (e.steps || 0), 0) / 3;
-      const olderAvgSteps = older.reduce((sum, e) => sum + (e.steps || 0), 0) / 3;
+      const recentAvgSteps = StorageManager.aggregateEntries(recent, 'steps') || 0;
+      const olderAvgSteps = StorageManager.aggregateEntries(older, 'steps') || 0;
       
       if (recentAvgSteps > olderAvgSteps * 1.2) {
         insights.push('Your activity is trending upward - great progress!');
@@ -0,0 +1,260 @@
+// search.js - Full-text search for Digital Health Tracker
+// Inverted index over notes, mood, symptoms and #tags, with date and metric filters
+
+/**
+ * Search Index
+ * Every day with an entry is one document: the entry's notes and mood,
+ * the symptoms logged that day (see SymptomJournal) and the notes kept
+ * with any of the day's readings (symptoms, workouts). Words and #tags
+ * map to the dates they occur on. Search terms match words by prefix,
+ * so 'migr' finds 'migraine' and 'headache' finds 'headaches'.
+ *
+ * The index is built on first use and kept current from change events:
+ * changed days are re-indexed on the next search, anything larger
+ * (imports, restores, another account) rebuilds it.
+ *
+ * Queries are plain text with #tags and metric conditions, all of which
+ * must hold, e.g. 'gym #travel sleep < 6 mood = tired'.
+ */
+const SearchIndex = {
+  TAG_PATTERN: /#([\p{L}\p{N}_-]+)/gu,
+  WORD_PATTERN: /[\p{L}\p{N}]+/gu,
+  CONDITION_PATTERN: /([A-Za-z_]+)\s*(<=|>=|!=|<|>|=)\s*("[^"]*"|[^\s"]+)/g,
+  STOP_WORDS: new Set(['a', 'an', 'and', 'the', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'is', 'was', 'it', 'my', 'i', 'me', 'had', 'have', 'but', 'or', 'so']),
+  OPERATORS: {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '=': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+  },
+  
+  // date -> { date, entry, notes, mood, symptoms, tags }
+  documents: null,
+  // word -> Set of dates
+  terms: null,
+  // tag -> Set of dates
+  tags: null,
+  partition: null,
+  staleDates: new Set(),
+  connected: false,
+  
+  /**
+   * Lowercase words of a text, without stop words and tags' '#'
+   */
+  tokenize(text) {
+    return (String(text || '').toLowerCase().match(this.WORD_PATTERN) || [])
+      .filter(word => !this.STOP_WORDS.has(word));
+  },
+  
+  getTags(text) {
+    return [...String(text || '').matchAll(this.TAG_PATTERN)].map(match => match[1].toLowerCase());
+  },
+  
+  /**
+   * Re-index changed days on the next search, or everything after
+   * changes without a date
+   */
+  connect() {
+    if (this.connected) return;
+    this.connected = true;
+    StorageManager.subscribe(['entry:added', 'entry:updated', 'entry:deleted', 'data:replaced'], change => {
+      if (change.type === 'data:replaced' || !change.date) {
+        this.documents = null;
+      } else {
+        this.staleDates.add(change.date);
+      }
+    });
+  },
+  
+  /**
+   * The index, built or brought up to date
+   */
+  async ensureIndex() {
+    this.connect();
+    const partition = StorageManager.getDatabaseName(StorageManager.userId);
+    if (!this.documents || this.partition !== partition) {
+      await this.build(partition);
+    } else if (this.staleDates.size > 0) {
+      const dates = [...this.staleDates];
+      this.staleDates.clear();
+      for (const date of dates) {
+        const [entry, readings] = await Promise.all([
+          StorageManager.getEntryByDate(date),
+          StorageManager.getReadings(date)
+        ]);
+        this.removeDocument(date);
+        if (entry) this.addDocument(this.createDocument(entry, readings));
+      }
+    }
+    return this.documents;
+  },
+  
+  async build(partition) {
+    this.documents = new Map();
+    this.terms = new Map();
+    this.tags = new Map();
+    this.partition = partition;
+    this.staleDates.clear();
+    
+    const entries = await StorageManager.getEntries();
+    if (entries.length === 0) return;
+    const readings = await StorageManager.getReadingsInRange(entries[entries.length - 1].date, entries[0].date);
+    const readingsByDate = new Map();
+    readings.forEach(reading => {
+      if (!readingsByDate.has(reading.date)) readingsByDate.set(reading.date, []);
+      readingsByDate.get(reading.date).push(reading);
+    });
+    entries.forEach(entry => this.addDocument(this.createDocument(entry, readingsByDate.get(entry.date) || [])));
+  },
+  
+  /**
+   * A day's searchable text: entry notes and mood, symptom names and
+   * the notes of its readings
+   */
+  createDocument(entry, readings) {
+    const notes = entry.notes ? [entry.notes] : [];
+    const symptoms = [];
+    readings.forEach(reading => {
+      const details = reading.details || {};
+      if (reading.metric === 'symptomSeverity' && details.symptom) {
+        symptoms.push(typeof SymptomJournal !== 'undefined' ? SymptomJournal.getLabel(details.symptom) : details.symptom);
+      }
+      if (details.notes && !notes.includes(details.notes)) notes.push(details.notes);
+    });
+    
+    return {
+      date: entry.date,
+      entry,
+      notes,
+      mood: entry.mood || '',
+      symptoms: [...new Set(symptoms)],
+      tags: [...new Set(notes.flatMap(note => this.getTags(note)))]
+    };
+  },
+  
+  addDocument(document) {
+    const add = (map, key) => {
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(document.date);
+    };
+    this.documents.set(document.date, document);
+    this.tokenize([...document.notes, document.mood, ...document.symptoms].join(' ')).forEach(word => add(this.terms, word));
+    document.tags.forEach(tag => add(this.tags, tag));
+  },
+  
+  removeDocument(date) {
+    if (!this.documents.delete(date)) return;
+    [this.terms, this.tags].forEach(map => {
+      map.forEach((dates, key) => {
+        dates.delete(date);
+        if (dates.size === 0) map.delete(key);
+      });
+    });
+  },
+  
+  /**
+   * Split a query into text, #tags and metric conditions:
+   * { text, tags, conditions: [{ field, operator, value }] }.
+   * 'AND' between parts is allowed and ignored.
+   */
+  parseQuery(query) {
+    const conditions = [];
+    let rest = String(query || '').replace(this.CONDITION_PATTERN, (match, field, operator, value) => {
+      conditions.push({ field, operator, value: value.replace(/^"|"$/g, '') });
+      return ' ';
+    });
+    const tags = this.getTags(rest);
+    rest = rest.replace(this.TAG_PATTERN, ' ').replace(/\bAND\b/g, ' ');
+    return { text: rest.trim().replace(/\s+/g, ' '), tags, conditions };
+  },
+  
+  /**
+   * Entry field a condition refers to: 'mood' or a numeric metric,
+   * matched case-insensitively (e.g. 'heartrate')
+   */
+  resolveField(name) {
+    const fields = ['mood', ...Object.keys(EntryValidator.SCHEMA), ...StorageManager.customMetrics.map(metric => metric.id)];
+    const field = fields.find(candidate => candidate.toLowerCase() === name.toLowerCase());
+    const rule = field && field !== 'mood' ? EntryValidator.getRule(field) : null;
+    if (!field || (rule && !['number', 'integer'].includes(rule.type))) {
+      throw new Error(`Cannot filter on "${name}"`);
+    }
+    return field;
+  },
+  
+  /**
+   * Whether an entry meets a condition. Numbers are typed in display
+   * units (see UnitSystem); mood compares case-insensitively.
+   */
+  matchesCondition(entry, { field, operator, value }) {
+    const compare = this.OPERATORS[operator];
+    if (field === 'mood') {
+      return compare(String(entry.mood || '').toLowerCase(), value.toLowerCase());
+    }
+    const actual = entry[field];
+    const expected = UnitSystem.fromDisplay(field, Number(value));
+    if (typeof actual !== 'number' || Number.isNaN(expected)) return false;
+    return compare(actual, expected);
+  },
+  
+  /**
+   * Dates of index words starting with a search term
+   */
+  findWord(term) {
+    const dates = new Set();
+    this.terms.forEach((termDates, word) => {
+      if (word.startsWith(term)) termDates.forEach(date => dates.add(date));
+    });
+    return dates;
+  },
+  
+  /**
+   * Days matching all of a filter's text terms, tags, date range and
+   * conditions, newest first. Returns { results, words } where `words`
+   * are the index words the text matched, for highlighting.
+   */
+  async search({ text = '', tags = [], conditions = [], startDate = null, endDate = null } = {}) {
+    await this.ensureIndex();
+    const resolved = conditions.map(condition => {
+      if (!this.OPERATORS[condition.operator]) {
+        throw new Error(`Unknown operator: ${condition.operator}`);
+      }
+      return { ...condition, field: this.resolveField(condition.field) };
+    });
+    
+    const queryTerms = this.tokenize(text);
+    let dates = null;
+    const narrow = matching => {
+      dates = dates === null ? matching : new Set([...dates].filter(date => matching.has(date)));
+    };
+    queryTerms.forEach(term => narrow(this.findWord(term)));
+    tags.forEach(tag => narrow(this.tags.get(tag.replace(/^#/, '').toLowerCase()) || new Set()));
+    
+    const results = [...(dates || this.documents.keys())]
+      .map(date => this.documents.get(date))
+      .filter(document => (!startDate || document.date >= startDate) && (!endDate || document.date <= endDate))
+      .filter(document => resolved.every(condition => this.matchesCondition(document.entry, condition)))
+      .sort((a, b) => b.date.localeCompare(a.date));
+    const words = [...this.terms.keys()].filter(word => queryTerms.some(term => word.startsWith(term)));
+    return { results, words };
+  },
+  
+  /**
+   * Every tag in use with the number of days it is on, most used first
+   */
+  async getTagCounts() {
+    await this.ensureIndex();
+    return [...this.tags].map(([tag, dates]) => ({ tag, count: dates.size }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+};
+
+// Expose to window
+window.SearchIndex = SearchIndex;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchIndex;
+}
@@ -1,29 +1,771 @@
-// storage.js - LocalStorage management for Digital Health Tracker
+// storage.js - IndexedDB storage management for Digital Health Tracker
 // Handles all data persistence operations
 
 /**
  * Storage Manager
- * Provides a clean API for interacting with localStorage
+ * Provides a clean async API over IndexedDB. Entries live in their own
+ * object store keyed by date; user, goals and settings live in a small
+ * key/value "meta" store.
+ *
+ * Every AuthSystem account gets its own database, picked from the active
+ * session. Without a session the shared (demo) database is used.
+ *
+ * A partition can be encrypted (see CryptoManager). Records then keep
+ * only their keys and index fields in the clear; everything else is in
+ * an AES-GCM `sealed` payload that is opened on read.
  */
 const StorageManager = {
+  // Legacy localStorage key, only read once to migrate old data
   STORAGE_KEY: 'healthTrackerData',
+  // Written by AuthSystem; read here so pages without auth.js still partition
+  SESSION_KEY: 'healthTracker_session',
+  // Id of the account that received the pre-partitioning global data
+  LEGACY_OWNER_KEY: 'healthTracker_legacyDataOwner',
+  DB_NAME: 'healthTrackerDB',
+  DB_VERSION: 3,
+  ENTRIES_STORE: 'entries',
+  READINGS_STORE: 'readings',
+  REVISIONS_STORE: 'revisions',
+  TRASH_STORE: 'trash',
+  META_STORE: 'meta',
+  // Number of changes that can be undone
+  UNDO_LIMIT: 50,
+  // Share of the browser's storage quota at which users are warned
+  QUOTA_WARNING: 0.8,
+  QUOTA_CRITICAL: 0.95,
+  ARCHIVE_FORMAT: 'healthTrackerArchive',
+  // Cross-tab change delivery; the localStorage key is the fallback
+  // for browsers without BroadcastChannel
+  CHANNEL_NAME: 'healthTracker_changes',
+  CHANGE_SIGNAL_KEY: 'healthTracker_lastChange',
   
   /**
-   * Initialize storage with default data if empty
+   * Change event types passed to subscribe() handlers. Every event is
+   * { type, date?, source?, partition, timestamp, remote } where `remote`
+   * is true when the change was made in another tab.
    */
-  async init() {
-    if (!this.hasData()) {
-      console.log('[Storage] No existing data found, loading defaults...');
-      await this.loadDefaultData();
+  CHANGE_TYPES: [
+    'entry:added',
+    'entry:updated',
+    'entry:deleted',
+    'goals:changed',
+    'settings:changed',
+    'profile:changed',
+    'metrics:changed',
+    'medications:changed',
+    'data:replaced'
+  ],
+  
+  // Change event type for each revision action
+  ACTION_EVENTS: {
+    create: 'entry:added',
+    append: 'entry:updated',
+    update: 'entry:updated',
+    delete: 'entry:deleted'
+  },
+  
+  /**
+   * Fields left readable in encrypted partitions: the keys and indexes
+   * IndexedDB needs, plus revision action/source and pruned edit counts
+   * for edit markers
+   */
+  PLAIN_FIELDS: {
+    entries: ['date'],
+    readings: ['id', 'date', 'timestamp', 'metric'],
+    revisions: ['id', 'date', 'timestamp', 'action', 'source', 'priorEdits'],
+    trash: ['id', 'date', 'deletedAt', 'revisionId'],
+    meta: ['key']
+  },
+  // Meta records that hold no health data and must be readable while locked
+  PLAIN_META_KEYS: ['schemaVersion', 'encryption', 'undoStack', 'redoStack'],
+  
+  /**
+   * Version of the stored data shape. Bump this and append a migration
+   * to MIGRATIONS whenever the entry format changes.
+   */
+  SCHEMA_VERSION: 3,
+  
+  /**
+   * How timestamped readings of each metric roll up into the daily
+   * entry value. Entries keep these values as a cache of the rollup.
+   * Body measurements (see BodyComposition) keep the day's last one;
+   * blood pressure and glucose (see VitalSigns) the day's mean.
+   * Each medication dose (see MedicationManager) is a 'doses' reading
+   * of 1 when taken or 0 when skipped. Symptoms (see SymptomJournal)
+   * keep the day's worst severity. Each food logged (see FoodLog) adds
+   * a reading per nutrient, so calories and macros are daily totals.
+   * Workouts (see WorkoutLog) add their minutes and energy burned.
+   */
+  METRIC_ROLLUPS: {
+    steps: 'sum',
+    water: 'sum',
+    calories: 'sum',
+    sleep: 'sum',
+    heartRate: 'mean',
+    weight: 'last',
+    bodyFat: 'last',
+    waist: 'last',
+    systolic: 'mean',
+    diastolic: 'mean',
+    pulse: 'mean',
+    glucose: 'mean',
+    doses: 'sum',
+    symptomSeverity: 'max',
+    protein: 'sum',
+    carbs: 'sum',
+    fat: 'sum',
+    fiber: 'sum',
+    sodium: 'sum',
+    exercise: 'sum',
+    caloriesBurned: 'sum'
+  },
+  
+  // Details that tie a reading to something logged item by item, and
+  // the log it is edited in. saveEntry can't set a metric a day has
+  // such readings for.
+  ITEM_DETAILS: {
+    foodLogId: 'the food log',
+    workoutId: 'the workout log'
+  },
+  
+  // Bucket sizes for query(); 'all' is one bucket over the whole range
+  QUERY_BUCKETS: ['day', 'week', 'month', 'all'],
+  
+  /**
+   * Kinds of user-defined metric and how their readings roll up by
+   * default: a number (e.g. mg of caffeine), a scale (e.g. pain 1-10)
+   * or yes/no (e.g. took vitamins), stored as 1/0
+   */
+  CUSTOM_METRIC_TYPES: {
+    number: 'sum',
+    scale: 'mean',
+    boolean: 'max'
+  },
+  CUSTOM_METRIC_AGGREGATES: ['sum', 'mean', 'min', 'max', 'last'],
+  // Custom metric ids can never collide with built-in entry fields
+  CUSTOM_METRIC_PREFIX: 'custom_',
+  // Medication schedules: fixed times of day, or as needed (PRN)
+  MEDICATION_SCHEDULES: ['scheduled', 'prn'],
+  
+  /**
+   * Ordered forward migrations. Each one receives data at (version - 1)
+   * and returns it at `version`; unversioned data counts as version 0.
+   */
+  MIGRATIONS: [
+    {
+      version: 1,
+      description: 'Normalize unversioned data and coerce numeric entry fields',
+      migrate(data) {
+        const numericFields = ['steps', 'heartRate', 'sleep', 'water', 'calories'];
+        const entriesByDate = {};
+        
+        (Array.isArray(data.entries) ? data.entries : []).forEach(entry => {
+          const date = typeof entry?.date === 'string' ? entry.date.slice(0, 10) : '';
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            console.warn('[Storage] Dropping entry without a valid date:', entry);
+            return;
+          }
+          
+          const normalized = { ...entry, date };
+          numericFields.forEach(field => {
+            if (normalized[field] === undefined) return;
+            const value = Number(normalized[field]);
+            if (normalized[field] === null || normalized[field] === '' || !Number.isFinite(value)) {
+              console.warn(`[Storage] Dropping non-numeric ${field} on ${date}:`, normalized[field]);
+              delete normalized[field];
+            } else {
+              normalized[field] = value;
+            }
+          });
+          
+          // Older exports could contain several records for one date
+          entriesByDate[date] = { ...entriesByDate[date], ...normalized };
+        });
+        
+        return {
+          ...data,
+          user: data.user || {},
+          goals: data.goals || {},
+          settings: data.settings || { theme: 'light', notifications: true },
+          entries: Object.values(entriesByDate)
+        };
+      }
+    },
+    {
+      version: 2,
+      description: 'Split daily metric values into timestamped readings',
+      migrate(data) {
+        const readings = [];
+        data.entries.forEach(entry => {
+          Object.keys(StorageManager.METRIC_ROLLUPS).forEach(metric => {
+            if (entry[metric] === undefined) return;
+            readings.push({
+              date: entry.date,
+              timestamp: StorageManager.getDefaultTimestamp(entry.date),
+              metric,
+              value: entry[metric],
+              source: 'migrated'
+            });
+          });
+        });
+        return { ...data, readings };
+      }
+    },
+    {
+      version: 3,
+      description: 'Store water in millilitres instead of glasses',
+      migrate(data) {
+        const ML_PER_GLASS = 250;
+        const convertEntry = entry => (entry && entry.water !== undefined ? { ...entry, water: entry.water * ML_PER_GLASS } : entry);
+        const convertReading = reading => (reading.metric === 'water' ? { ...reading, value: reading.value * ML_PER_GLASS } : reading);
+        // Revisions and trash keep whole days for undo and restore
+        const convertDay = day => (day ? { ...day, entry: convertEntry(day.entry), readings: (day.readings || []).map(convertReading) } : day);
+        
+        return {
+          ...data,
+          // Archives (see createArchive) and v2 data written since carry no goals
+          goals: data.goals && data.goals.water !== undefined ? { ...data.goals, water: data.goals.water * ML_PER_GLASS } : data.goals,
+          entries: data.entries.map(convertEntry),
+          readings: (data.readings || []).map(convertReading),
+          revisions: (data.revisions || []).map(revision => ({ ...revision, before: convertDay(revision.before), after: convertDay(revision.after) })),
+          trash: (data.trash || []).map(item => ({ ...item, snapshot: convertDay(item.snapshot) }))
+        };
+      }
+    }
+  ],
+  
+  db: null,
+  userId: null,
+  readyPromise: null,
+  dataKey: null,
+  writeQueue: Promise.resolve(),
+  lastGeneratedId: 0,
+  listeners: [],
+  channel: null,
+  channelConnected: false,
+  // Definitions of the user's custom metrics, kept in memory so
+  // rollups and validation can look them up synchronously
+  customMetrics: [],
+  
+  /**
+   * Initialize storage: open the database, migrate any legacy
+   * localStorage data and load defaults if still empty.
+   * Safe to call repeatedly - every caller shares one promise.
+   */
+  init() {
+    if (!this.readyPromise) {
+      this.startInitialization(this.getActiveUserId());
+    }
+    return this.readyPromise;
+  },
+  
+  /**
+   * Point storage at another account's partition (null = shared data).
+   * Called by AuthSystem on login/logout. `seed` fills an empty partition.
+   */
+  switchUser(userId, seed = null) {
+    if (this.readyPromise && this.userId === userId) {
+      return this.readyPromise;
+    }
+    
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.dataKey = null;
+    console.log('[Storage] Switching data partition to:', userId || 'shared');
+    this.startInitialization(userId, seed);
+    return this.readyPromise;
+  },
+  
+  startInitialization(userId, seed = null) {
+    this.userId = userId;
+    this.readyPromise = this.initialize(userId, seed).catch(error => {
+      // Allow a later call to retry
+      this.readyPromise = null;
+      throw error;
+    });
+  },
+  
+  async initialize(userId, seed) {
+    if (userId) {
+      await this.claimLegacyData(userId);
+    }
+    if (!this.db) {
+      this.db = await this.openDatabase(this.getDatabaseName(userId));
+    }
+    await this.loadDataKey();
+    await this.migrateFromLocalStorage();
+    
+    if (!(await this.hasData())) {
+      if (userId) {
+        console.log('[Storage] New account partition, creating initial data...');
+        await this.saveAll(this.createInitialData(seed));
+      } else {
+        console.log('[Storage] No existing data found, loading defaults...');
+        await this.loadDefaultData();
+      }
     }
+    
+    await this.migrateStoredData();
+    await this.loadDisplaySettings();
+    await this.loadCustomMetrics();
     console.log('[Storage] Initialized successfully');
   },
   
+  /**
+   * Account id from the current, unexpired AuthSystem session
+   */
+  getActiveUserId() {
+    try {
+      const session = JSON.parse(localStorage.getItem(this.SESSION_KEY));
+      if (session && session.userId && session.expiresAt > Date.now()) {
+        return session.userId;
+      }
+    } catch (error) {
+      console.error('[Storage] Failed to read session:', error);
+    }
+    return null;
+  },
+  
+  /**
+   * Database name for an account partition
+   */
+  getDatabaseName(userId) {
+    return userId ? `${this.DB_NAME}_${userId}` : this.DB_NAME;
+  },
+  
+  /**
+   * Empty data for a new account, optionally seeded from its auth record
+   */
+  createInitialData(seed) {
+    return {
+      schemaVersion: this.SCHEMA_VERSION,
+      user: seed?.user || {},
+      goals: seed?.goals || {},
+      settings: { theme: 'light', notifications: true, ...seed?.settings },
+      entries: []
+    };
+  },
+  
+  /**
+   * Hand the pre-partitioning shared data (and any legacy localStorage
+   * blob) to the first account that logs in. Leaves this.db pointing at
+   * that account's database when it does any work.
+   */
+  async claimLegacyData(userId) {
+    if (localStorage.getItem(this.LEGACY_OWNER_KEY)) return false;
+    
+    this.db = await this.openDatabase(this.DB_NAME);
+    await this.migrateFromLocalStorage();
+    const legacyData = (await this.hasData()) ? await this.readAll() : null;
+    const sharedDb = this.db;
+    
+    this.db = await this.openDatabase(this.getDatabaseName(userId));
+    try {
+      if (legacyData) {
+        if (await this.hasData()) {
+          console.warn('[Storage] Account already has data, leaving shared data unassigned');
+          return false;
+        }
+        if (!(await this.saveAll(this.migrateData(legacyData)))) {
+          return false;
+        }
+        await this.clearStores(sharedDb);
+        console.log(`[Storage] Assigned ${legacyData.entries.length} legacy entries to account ${userId}`);
+      }
+      localStorage.setItem(this.LEGACY_OWNER_KEY, userId);
+      return true;
+    } finally {
+      sharedDb.close();
+    }
+  },
+  
+  /**
+   * Permanently delete an account's database (used on account deletion)
+   */
+  async deleteUserData(userId) {
+    if (this.userId === userId) {
+      await this.switchUser(null);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(this.getDatabaseName(userId));
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('[Storage] Account database deletion blocked by another open tab');
+    });
+  },
+  
+  /**
+   * Open (and create/upgrade) the IndexedDB database
+   */
+  openDatabase(name = this.getDatabaseName(this.userId)) {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not supported in this browser'));
+        return;
+      }
+      
+      const request = indexedDB.open(name, this.DB_VERSION);
+      
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        console.log(`[Storage] Upgrading database from v${event.oldVersion} to v${event.newVersion}`);
+        
+        if (!db.objectStoreNames.contains(this.ENTRIES_STORE)) {
+          db.createObjectStore(this.ENTRIES_STORE, { keyPath: 'date' });
+        }
+        if (!db.objectStoreNames.contains(this.META_STORE)) {
+          db.createObjectStore(this.META_STORE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(this.READINGS_STORE)) {
+          const readings = db.createObjectStore(this.READINGS_STORE, { keyPath: 'id', autoIncrement: true });
+          readings.createIndex('date', 'date');
+          readings.createIndex('metric_timestamp', ['metric', 'timestamp']);
+        }
+        if (!db.objectStoreNames.contains(this.REVISIONS_STORE)) {
+          const revisions = db.createObjectStore(this.REVISIONS_STORE, { keyPath: 'id', autoIncrement: true });
+          revisions.createIndex('date', 'date');
+        }
+        if (!db.objectStoreNames.contains(this.TRASH_STORE)) {
+          const trash = db.createObjectStore(this.TRASH_STORE, { keyPath: 'id', autoIncrement: true });
+          trash.createIndex('date', 'date');
+          trash.createIndex('revisionId', 'revisionId');
+        }
+      };
+      
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgraded the schema - close so it isn't blocked
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('[Storage] Database upgrade blocked by another open tab');
+    });
+  },
+  
+  /**
+   * Run a function inside a transaction and resolve when it commits.
+   * The function receives the requested object stores in order; its
+   * return value (or the result of a returned IDBRequest) is resolved.
+   */
+  transaction(storeNames, mode, fn, db = this.db) {
+    return new Promise((resolve, reject) => {
+      const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+      const tx = db.transaction(names, mode);
+      const stores = names.map(name => tx.objectStore(name));
+      const result = fn(...stores);
+      
+      tx.oncomplete = () => {
+        resolve(result instanceof IDBRequest ? result.result : result);
+      };
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => {
+        const error = tx.error || new Error('Transaction aborted');
+        if (mode === 'readwrite') {
+          this.reportWriteFailure(error);
+        }
+        reject(error);
+      };
+    });
+  },
+  
+  /**
+   * Never drop a write silently: every failed write transaction (e.g.
+   * the quota is full) fires a 'storageWriteFailed' event that App turns
+   * into a message for the user
+   */
+  reportWriteFailure(error) {
+    const quotaExceeded = error.name === 'QuotaExceededError';
+    console.error(`[Storage] Write failed${quotaExceeded ? ' - storage quota exceeded' : ''}:`, error);
+    window.dispatchEvent(new CustomEvent('storageWriteFailed', {
+      detail: { error, quotaExceeded }
+    }));
+  },
+  
+  /**
+   * Listen for data changes made in this tab or any other open tab.
+   * `types` is one of CHANGE_TYPES, an array of them, or '*' for all.
+   * Returns a function that removes the listener.
+   */
+  subscribe(types, handler) {
+    const listener = { types: [].concat(types), handler };
+    this.listeners.push(listener);
+    this.connectChannel();
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  },
+  
+  /**
+   * Notify listeners in this tab and forward the change to other tabs
+   */
+  emitChange(type, detail = {}) {
+    const change = {
+      type,
+      ...detail,
+      partition: this.getDatabaseName(this.userId),
+      timestamp: new Date().toISOString()
+    };
+    this.notifyListeners({ ...change, remote: false });
+    
+    try {
+      if (typeof BroadcastChannel !== 'undefined') {
+        this.connectChannel();
+        this.channel.postMessage(change);
+      } else {
+        // Unique value so the `storage` event fires even for repeats
+        localStorage.setItem(this.CHANGE_SIGNAL_KEY, JSON.stringify({ ...change, nonce: Math.random() }));
+      }
+    } catch (error) {
+      console.error('[Storage] Failed to broadcast change:', error);
+    }
+  },
+  
+  notifyListeners(change) {
+    this.listeners
+      .filter(listener => listener.types.includes('*') || listener.types.includes(change.type))
+      .forEach(listener => {
+        try {
+          listener.handler(change);
+        } catch (error) {
+          console.error('[Storage] Change listener failed:', error);
+        }
+      });
+  },
+  
+  /**
+   * Start receiving changes from other tabs (once per page)
+   */
+  connectChannel() {
+    if (this.channelConnected) return;
+    this.channelConnected = true;
+    
+    const receive = async change => {
+      // Ignore tabs that are logged in to another account
+      if (change && change.partition === this.getDatabaseName(this.userId)) {
+        if (change.type === 'metrics:changed' || change.type === 'data:replaced') {
+          await this.loadCustomMetrics();
+        }
+        this.notifyListeners({ ...change, remote: true });
+      }
+    };
+    
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+      this.channel.onmessage = (event) => receive(event.data);
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key === this.CHANGE_SIGNAL_KEY && event.newValue) {
+          receive(JSON.parse(event.newValue));
+        }
+      });
+    }
+  },
+  
+  /**
+   * Read a value from the meta store
+   */
+  async getMeta(key, fallback = null) {
+    const record = await this.openRecord(await this.transaction(this.META_STORE, 'readonly', store => store.get(key)));
+    return record ? record.value : fallback;
+  },
+  
+  /**
+   * Write a value to the meta store
+   */
+  async setMeta(key, value) {
+    const record = await this.sealMeta({ key, value });
+    await this.transaction(this.META_STORE, 'readwrite', store => store.put(record));
+    return true;
+  },
+  
+  /**
+   * Pick up the data key unlocked at login when this partition is
+   * encrypted. Throws an error with code 'LOCKED' if there is none.
+   */
+  async loadDataKey() {
+    this.dataKey = null;
+    const encryption = await this.getMeta('encryption', null);
+    if (!encryption || !encryption.enabled) return;
+    
+    const dataKey = typeof CryptoManager !== 'undefined' ? await CryptoManager.restoreKey() : null;
+    if (!dataKey) throw this.createLockedError();
+    
+    this.dataKey = dataKey;
+    try {
+      // A key unlocked for another account can't open this partition
+      await this.getMeta('settings');
+    } catch (error) {
+      this.dataKey = null;
+      throw this.createLockedError();
+    }
+  },
+  
+  createLockedError() {
+    const error = new Error('Health data is encrypted. Log in with your password to unlock it.');
+    error.code = 'LOCKED';
+    return error;
+  },
+  
+  /**
+   * Error for data rejected by EntryValidator; `issues` lists the errors
+   */
+  createValidationError(issues) {
+    const error = new Error(`Invalid health data:\n${EntryValidator.formatIssues(issues)}`);
+    error.code = 'INVALID';
+    error.issues = issues;
+    return error;
+  },
+  
+  /**
+   * Whether this partition's data is encrypted at rest
+   */
+  async isEncrypted() {
+    await this.init();
+    return this.dataKey !== null;
+  },
+  
+  /**
+   * Encrypt this partition with a data key from CryptoManager.
+   * Every record is re-written sealed.
+   */
+  async enableEncryption(dataKey) {
+    await this.init();
+    return this.rewriteWithKey(dataKey);
+  },
+  
+  /**
+   * Decrypt this partition back to plain records
+   */
+  async disableEncryption() {
+    await this.init();
+    return this.rewriteWithKey(null);
+  },
+  
+  rewriteWithKey(dataKey) {
+    return this.enqueueWrite(async () => {
+      const data = await this.readAll();
+      const previousKey = this.dataKey;
+      this.dataKey = dataKey;
+      
+      if (!(await this.saveAll(data))) {
+        this.dataKey = previousKey;
+        throw new Error('Failed to re-write health data');
+      }
+      console.log(`[Storage] Encryption ${dataKey ? 'enabled' : 'disabled'} for ${data.entries.length} entries`);
+      this.emitChange('data:replaced', { source: 'encryption' });
+      return true;
+    });
+  },
+  
+  /**
+   * Split a record into its plain fields and an encrypted payload.
+   * Returns the record unchanged when the partition isn't encrypted.
+   */
+  async sealRecord(storeName, record) {
+    if (!this.dataKey || !record) return record;
+    
+    const plain = {};
+    const secret = {};
+    Object.entries(record).forEach(([field, value]) => {
+      (this.PLAIN_FIELDS[storeName].includes(field) ? plain : secret)[field] = value;
+    });
+    plain.sealed = await CryptoManager.encrypt(this.dataKey, secret);
+    return plain;
+  },
+  
+  sealMeta(record) {
+    return this.PLAIN_META_KEYS.includes(record.key) ? record : this.sealRecord(this.META_STORE, record);
+  },
+  
+  /**
+   * Merge a sealed record's payload back into its plain fields
+   */
+  async openRecord(record) {
+    if (!record || !record.sealed) return record;
+    if (!this.dataKey) throw this.createLockedError();
+    
+    const { sealed, ...plain } = record;
+    return { ...plain, ...(await CryptoManager.decrypt(this.dataKey, sealed)) };
+  },
+  
+  openRecords(records) {
+    return Promise.all(records.map(record => this.openRecord(record)));
+  },
+  
+  /**
+   * One-time migration of the legacy localStorage blob into IndexedDB.
+   * The old key is only removed after the data has been committed.
+   */
+  async migrateFromLocalStorage() {
+    const legacy = localStorage.getItem(this.STORAGE_KEY);
+    if (legacy === null) return false;
+    
+    let data;
+    try {
+      // Migrate before writing: legacy entries may not even have valid keys
+      data = this.migrateData(JSON.parse(legacy) || {});
+    } catch (error) {
+      console.error('[Storage] Legacy data could not be migrated, leaving it in localStorage:', error);
+      return false;
+    }
+    
+    // Never overwrite data that is already in IndexedDB
+    if (await this.hasData()) {
+      console.warn('[Storage] IndexedDB already has data, skipping legacy migration');
+    } else {
+      if (!(await this.saveAll(data))) return false;
+      console.log(`[Storage] Migrated ${data.entries.length} entries from localStorage`);
+    }
+    
+    localStorage.removeItem(this.STORAGE_KEY);
+    return true;
+  },
+  
+  /**
+   * Upgrade data to SCHEMA_VERSION by running every pending migration.
+   * Throws if the data was written by a newer version of the app.
+   */
+  migrateData(data) {
+    const fromVersion = Number(data.schemaVersion) || 0;
+    
+    if (fromVersion > this.SCHEMA_VERSION) {
+      throw new Error(`Data uses schema v${fromVersion}, but this app only supports up to v${this.SCHEMA_VERSION}. Please update the app.`);
+    }
+    
+    return this.MIGRATIONS
+      .filter(migration => migration.version > fromVersion)
+      .reduce((migrated, migration) => {
+        console.log(`[Storage] Migrating data to schema v${migration.version}: ${migration.description}`);
+        return { ...migration.migrate(migrated), schemaVersion: migration.version };
+      }, data);
+  },
+  
+  /**
+   * Run pending migrations against the data already in the database
+   */
+  async migrateStoredData() {
+    const storedVersion = await this.getMeta('schemaVersion', 0);
+    if (storedVersion === this.SCHEMA_VERSION) return false;
+    
+    const migrated = this.migrateData(await this.readAll());
+    if (!(await this.saveAll(migrated))) {
+      throw new Error(`Failed to save data migrated to schema v${this.SCHEMA_VERSION}`);
+    }
+    return true;
+  },
+  
   /**
    * Check if storage has data
    */
-  hasData() {
-    return localStorage.getItem(this.STORAGE_KEY) !== null;
+  async hasData() {
+    const settings = await this.transaction(this.META_STORE, 'readonly', store => store.count('settings'));
+    if (settings > 0) return true;
+    const entries = await this.transaction(this.ENTRIES_STORE, 'readonly', store => store.count());
+    return entries > 0;
   },
   
   /**
@@ -33,13 +775,14 @@ const StorageManager = {
     try {
       const response = await fetch('/data/default.json');
       const defaultData = await response.json();
-      this.saveAll(defaultData);
+      await this.saveAll(this.migrateData(defaultData));
       console.log('[Storage] Default data loaded successfully');
       return true;
     } catch (error) {
       console.error('[Storage] Failed to load default data:', error);
       // Initialize with minimal structure
-      this.saveAll({
+      await this.saveAll({
+        schemaVersion: this.SCHEMA_VERSION,
         user: {},
         goals: {},
         settings: { theme: 'light', notifications: true },
@@ -50,24 +793,82 @@ const StorageManager = {
   },
   
   /**
-   * Get all data
+   * Get all data as a single object (same shape as the legacy blob)
    */
-  getAll() {
+  async getAll() {
+    await this.init();
     try {
-      const data = localStorage.getItem(this.STORAGE_KEY);
-      return data ? JSON.parse(data) : null;
+      return await this.readAll();
     } catch (error) {
-      console.error('[Storage] Failed to parse data:', error);
+      console.error('[Storage] Failed to read data:', error);
       return null;
     }
   },
   
   /**
-   * Save all data
+   * Read every store in one transaction (no init guard - used during init)
+   */
+  async readAll() {
+    const stores = [this.ENTRIES_STORE, this.READINGS_STORE, this.REVISIONS_STORE, this.TRASH_STORE, this.META_STORE];
+    const requests = await this.transaction(stores, 'readonly', (entryStore, readingStore, revisionStore, trashStore, metaStore) => ({
+      entries: entryStore.getAll(),
+      readings: readingStore.getAll(),
+      revisions: revisionStore.getAll(),
+      trash: trashStore.getAll(),
+      meta: metaStore.getAll()
+    }));
+    const metaRecords = await this.openRecords(requests.meta.result);
+    const meta = Object.fromEntries(metaRecords.map(record => [record.key, record.value]));
+    
+    return {
+      schemaVersion: meta.schemaVersion || 0,
+      user: meta.user || {},
+      goals: meta.goals || {},
+      settings: meta.settings || { theme: 'light', notifications: true },
+      customMetrics: meta.customMetrics || [],
+      medications: meta.medications || [],
+      entries: (await this.openRecords(requests.entries.result)).reverse(),
+      readings: await this.openRecords(requests.readings.result),
+      revisions: await this.openRecords(requests.revisions.result),
+      trash: await this.openRecords(requests.trash.result)
+    };
+  },
+  
+  /**
+   * Replace all data in a single transaction
    */
-  saveAll(data) {
+  async saveAll(data) {
     try {
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
+      const seal = (storeName, records) => Promise.all((records || []).map(record => this.sealRecord(storeName, record)));
+      const [entries, readings, revisions, trash, meta] = await Promise.all([
+        seal(this.ENTRIES_STORE, data.entries),
+        seal(this.READINGS_STORE, data.readings),
+        seal(this.REVISIONS_STORE, data.revisions),
+        seal(this.TRASH_STORE, data.trash),
+        Promise.all([
+          // Replaced data can't be undone change by change
+          { key: 'undoStack', value: [] },
+          { key: 'redoStack', value: [] },
+          { key: 'user', value: data.user || {} },
+          { key: 'goals', value: data.goals || {} },
+          { key: 'settings', value: data.settings || { theme: 'light', notifications: true } },
+          { key: 'customMetrics', value: data.customMetrics || [] },
+          { key: 'medications', value: data.medications || [] },
+          { key: 'schemaVersion', value: Number(data.schemaVersion) || 0 },
+          { key: 'encryption', value: { enabled: this.dataKey !== null } }
+        ].map(record => this.sealMeta(record)))
+      ]);
+      
+      const stores = [this.ENTRIES_STORE, this.READINGS_STORE, this.REVISIONS_STORE, this.TRASH_STORE, this.META_STORE];
+      await this.transaction(stores, 'readwrite', (entryStore, readingStore, revisionStore, trashStore, metaStore) => {
+        [entryStore, readingStore, revisionStore, trashStore].forEach(store => store.clear());
+        entries.forEach(entry => entryStore.put(entry));
+        readings.forEach(reading => readingStore.put(reading));
+        revisions.forEach(revision => revisionStore.put(revision));
+        trash.forEach(item => trashStore.put(item));
+        meta.forEach(record => metaStore.put(record));
+      });
+      this.customMetrics = data.customMetrics || [];
       return true;
     } catch (error) {
       console.error('[Storage] Failed to save data:', error);
@@ -78,171 +879,1045 @@ const StorageManager = {
   /**
    * Get user profile
    */
-  getUserProfile() {
-    const data = this.getAll();
-    return data?.user || {};
+  async getUserProfile() {
+    await this.init();
+    return this.getMeta('user', {});
   },
   
   /**
    * Update user profile
    */
-  updateUserProfile(userData) {
-    const data = this.getAll();
-    data.user = { ...data.user, ...userData };
-    return this.saveAll(data);
+  async updateUserProfile(userData) {
+    const user = await this.getUserProfile();
+    await this.setMeta('user', { ...user, ...userData });
+    this.emitChange('profile:changed');
+    return true;
   },
   
   /**
    * Get goals
    */
-  getGoals() {
-    const data = this.getAll();
-    return data?.goals || {};
+  async getGoals() {
+    await this.init();
+    return this.getMeta('goals', {});
   },
   
   /**
    * Update goals
    */
-  updateGoals(goals) {
-    const data = this.getAll();
-    data.goals = { ...data.goals, ...goals };
-    return this.saveAll(data);
+  async updateGoals(goals) {
+    const current = await this.getGoals();
+    await this.setMeta('goals', { ...current, ...goals });
+    this.emitChange('goals:changed');
+    return true;
   },
   
   /**
    * Get settings
    */
-  getSettings() {
-    const data = this.getAll();
-    return data?.settings || { theme: 'light', notifications: true };
+  async getSettings() {
+    await this.init();
+    return this.getMeta('settings', { theme: 'light', notifications: true });
   },
   
   /**
    * Update settings
    */
-  updateSettings(settings) {
-    const data = this.getAll();
-    data.settings = { ...data.settings, ...settings };
-    return this.saveAll(data);
+  async updateSettings(settings) {
+    const current = await this.getSettings();
+    await this.setMeta('settings', { ...current, ...settings });
+    await this.loadDisplaySettings();
+    this.emitChange('settings:changed');
+    return true;
   },
   
   /**
-   * Get all health entries
+   * Apply display settings: first day of the week (DateUtils) and
+   * metric/imperial units (UnitSystem)
    */
-  getEntries() {
-    const data = this.getAll();
-    return data?.entries || [];
+  async loadDisplaySettings() {
+    const settings = await this.getSettings();
+    DateUtils.setWeekStart(settings.weekStart);
+    UnitSystem.setSystem(settings.units);
+  },
+  
+  async loadCustomMetrics() {
+    this.customMetrics = await this.getMeta('customMetrics', []);
   },
   
   /**
-   * Get entry by date
+   * How a metric's readings roll up into its daily value: the built-in
+   * rule, the custom metric's aggregation, or null for unknown metrics
    */
-  getEntryByDate(date) {
-    const entries = this.getEntries();
-    return entries.find(entry => entry.date === date);
+  getRollup(metric) {
+    return this.METRIC_ROLLUPS[metric] || this.getCustomMetric(metric)?.aggregate || null;
   },
   
   /**
-   * Add or update health entry
+   * Ids of every metric that can be logged as readings
    */
-  saveEntry(entry) {
-    const data = this.getAll();
-    const entries = data.entries || [];
-    
-    // Check if entry for this date exists
-    const index = entries.findIndex(e => e.date === entry.date);
+  getMetricIds() {
+    return [...Object.keys(this.METRIC_ROLLUPS), ...this.customMetrics.map(metric => metric.id)];
+  },
+  
+  getCustomMetric(id) {
+    return this.customMetrics.find(metric => metric.id === id) || null;
+  },
+  
+  /**
+   * Get the user's custom metric definitions
+   */
+  async getCustomMetrics() {
+    await this.init();
+    return this.customMetrics;
+  },
+  
+  /**
+   * Add a custom metric, or update one when `definition.id` is set.
+   * Values are logged with addReading/saveEntry under the metric's id
+   * and show up in query(), charts and exports like built-in metrics.
+   */
+  async saveCustomMetric(definition) {
+    await this.init();
+    const name = String(definition.name || '').trim();
+    if (!name) {
+      throw new Error('Custom metric needs a name');
+    }
+    if (!this.CUSTOM_METRIC_TYPES[definition.type]) {
+      throw new Error(`Unknown custom metric type: ${definition.type}`);
+    }
+    const aggregate = definition.aggregate || this.CUSTOM_METRIC_TYPES[definition.type];
+    if (!this.CUSTOM_METRIC_AGGREGATES.includes(aggregate)) {
+      throw new Error(`Unknown aggregation: ${aggregate}`);
+    }
     
-    if (index >= 0) {
-      // Update existing entry
-      entries[index] = { ...entries[index], ...entry };
-    } else {
-      // Add new entry
-      entries.push(entry);
+    const optionalNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+    const metric = {
+      id: definition.id || this.createCustomMetricId(name),
+      name,
+      unit: definition.type === 'boolean' ? '' : String(definition.unit || '').trim(),
+      type: definition.type,
+      aggregate,
+      goal: optionalNumber(definition.goal),
+      min: definition.type === 'boolean' ? 0 : optionalNumber(definition.min),
+      max: definition.type === 'boolean' ? 1 : optionalNumber(definition.max)
+    };
+    if (metric.type === 'scale') {
+      metric.min = metric.min ?? 1;
+      metric.max = metric.max ?? 10;
+    }
+    if ([metric.goal, metric.min, metric.max].some(value => value !== null && !Number.isFinite(value))) {
+      throw new Error('Custom metric goal and range must be numbers');
+    }
+    if (metric.min !== null && metric.max !== null && metric.min >= metric.max) {
+      throw new Error('Custom metric minimum must be below its maximum');
     }
     
-    // Sort by date (newest first)
-    entries.sort((a, b) => new Date(b.date) - new Date(a.date));
+    const metrics = await this.getMeta('customMetrics', []);
+    const index = metrics.findIndex(existing => existing.id === metric.id);
+    const updated = index === -1
+      ? [...metrics, metric]
+      : metrics.map(existing => (existing.id === metric.id ? metric : existing));
+    await this.setMeta('customMetrics', updated);
+    this.customMetrics = updated;
+    this.emitChange('metrics:changed');
+    return metric;
+  },
+  
+  /**
+   * Remove a custom metric definition. Values already logged stay in
+   * the entries and readings, so re-creating the metric brings them back.
+   */
+  async deleteCustomMetric(id) {
+    await this.init();
+    const metrics = await this.getMeta('customMetrics', []);
+    const updated = metrics.filter(metric => metric.id !== id);
+    if (updated.length === metrics.length) return false;
     
-    data.entries = entries;
-    return this.saveAll(data);
+    await this.setMeta('customMetrics', updated);
+    this.customMetrics = updated;
+    this.emitChange('metrics:changed');
+    return true;
   },
   
   /**
-   * Delete entry by date
+   * Stable id for a new custom metric, e.g. 'custom_caffeine'
    */
-  deleteEntry(date) {
-    const data = this.getAll();
-    data.entries = data.entries.filter(entry => entry.date !== date);
-    return this.saveAll(data);
+  createCustomMetricId(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'metric';
+    const base = `${this.CUSTOM_METRIC_PREFIX}${slug}`;
+    let id = base;
+    for (let n = 2; this.getCustomMetric(id); n++) {
+      id = `${base}_${n}`;
+    }
+    return id;
   },
   
   /**
-   * Get entries for date range
+   * Get the user's medications
    */
-  getEntriesInRange(startDate, endDate) {
-    const entries = this.getEntries();
-    return entries.filter(entry => {
-      const entryDate = new Date(entry.date);
-      return entryDate >= new Date(startDate) && entryDate <= new Date(endDate);
-    });
+  async getMedications() {
+    await this.init();
+    return this.getMeta('medications', []);
   },
   
   /**
-   * Get last N days of entries
+   * Add a medication, or update one when `definition.id` is set.
+   * A scheduled medication is due at each of `times` ('HH:MM') on
+   * `days` (0 = Sunday; empty for every day) from `startDate` until
+   * `endDate` (null while ongoing). PRN medications have no schedule.
    */
-  getLastNDays(days) {
-    const entries = this.getEntries();
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
+  async saveMedication(definition) {
+    await this.init();
+    const name = String(definition.name || '').trim();
+    if (!name) {
+      throw new Error('Medication needs a name');
+    }
+    const schedule = definition.schedule || {};
+    const type = schedule.type || 'scheduled';
+    if (!this.MEDICATION_SCHEDULES.includes(type)) {
+      throw new Error(`Unknown medication schedule: ${type}`);
+    }
     
-    return entries.filter(entry => {
-      const entryDate = new Date(entry.date);
-      return entryDate >= startDate && entryDate <= endDate;
-    }).slice(0, days);
+    const times = type === 'prn' ? [] : [...new Set(schedule.times || [])].sort();
+    if (times.some(time => !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))) {
+      throw new Error('Dose times must be in HH:MM format');
+    }
+    if (type === 'scheduled' && times.length === 0) {
+      throw new Error('Scheduled medications need at least one dose time');
+    }
+    const days = type === 'prn' ? [] : [...new Set((schedule.days || []).map(Number))].sort();
+    if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error('Dose days must be weekdays from 0 (Sunday) to 6');
+    }
+    
+    const startDate = definition.startDate || DateUtils.today();
+    const endDate = definition.endDate || null;
+    const isDate = value => EntryValidator.validateField('date', value).issues.length === 0;
+    if (!isDate(startDate) || (endDate && !isDate(endDate))) {
+      throw new Error('Medication dates must be valid dates');
+    }
+    if (endDate && endDate < startDate) {
+      throw new Error('Medication end date must not be before its start date');
+    }
+    
+    const medication = {
+      id: definition.id || `med_${this.generateId()}`,
+      name,
+      dose: String(definition.dose || '').trim(),
+      schedule: { type, times, days },
+      startDate,
+      endDate,
+      notes: String(definition.notes || '').trim()
+    };
+    
+    const medications = await this.getMeta('medications', []);
+    const index = medications.findIndex(existing => existing.id === medication.id);
+    const updated = index === -1
+      ? [...medications, medication]
+      : medications.map(existing => (existing.id === medication.id ? medication : existing));
+    await this.setMeta('medications', updated);
+    this.emitChange('medications:changed');
+    return medication;
   },
   
   /**
-   * Get current week entries
+   * Remove a medication. Doses already logged stay in the readings.
    */
-  getCurrentWeekEntries() {
-    const today = new Date();
-    const dayOfWeek = today.getDay();
-    const startOfWeek = new Date(today);
-    startOfWeek.setDate(today.getDate() - dayOfWeek);
+  async deleteMedication(id) {
+    await this.init();
+    const medications = await this.getMeta('medications', []);
+    const updated = medications.filter(medication => medication.id !== id);
+    if (updated.length === medications.length) return false;
     
-    return this.getEntriesInRange(startOfWeek.toISOString().split('T')[0], today.toISOString().split('T')[0]);
+    await this.setMeta('medications', updated);
+    this.emitChange('medications:changed');
+    return true;
   },
   
   /**
-   * Get current month entries
+   * Get all health entries (newest first)
    */
-  getCurrentMonthEntries() {
-    const today = new Date();
-    const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-    
-    return this.getEntriesInRange(startOfMonth.toISOString().split('T')[0], today.toISOString().split('T')[0]);
+  async getEntries() {
+    await this.init();
+    const entries = await this.transaction(this.ENTRIES_STORE, 'readonly', store => store.getAll());
+    return (await this.openRecords(entries)).reverse();
   },
   
   /**
-   * Export data as JSON
+   * Get entry by date
    */
-  exportJSON() {
-    const data = this.getAll();
-    return JSON.stringify(data, null, 2);
+  async getEntryByDate(date) {
+    await this.init();
+    return this.openRecord(await this.transaction(this.ENTRIES_STORE, 'readonly', store => store.get(date)));
   },
   
   /**
-   * Import data from JSON
+   * Add or update health entry.
+   * Metric fields set the day's value: they replace that day's readings
+   * for the metric with a single reading. Other fields (mood, notes)
+   * are merged into the entry as before.
+   * Throws an 'INVALID' error if the entry fails EntryValidator, or if
+   * it sets a metric the day has logged item by item (see ITEM_DETAILS),
+   * whose value is the total of those items.
    */
-  importJSON(jsonString) {
-    try {
-      const data = JSON.parse(jsonString);
+  async saveEntry(entry) {
+    const { timestamp, source = 'manual', ...values } = entry;
+    const validation = EntryValidator.validateEntry(values);
+    if (!validation.valid) {
+      throw this.createValidationError(validation.errors);
+    }
+    
+    const fields = validation.entry;
+    const readingTime = timestamp || this.getDefaultTimestamp(entry.date);
+    const metrics = Object.keys(fields).filter(field =>
+      this.getRollup(field) && fields[field] !== undefined && fields[field] !== null && fields[field] !== ''
+    );
+    
+    try {
+      await this.mutateDay(entry.date, day => {
+        // metric -> log its items are edited in
+        const logged = new Map();
+        day.readings
+          .filter(reading => metrics.includes(reading.metric) && this.isItemReading(reading))
+          .forEach(reading => logged.set(reading.metric, this.getItemLog(reading)));
+        if (logged.size > 0) {
+          throw this.createValidationError([...logged].map(([field, log]) => ({
+            date: entry.date,
+            field,
+            value: fields[field],
+            severity: 'error',
+            message: `${EntryValidator.getRule(field).label} can't be set directly: this day has entries in ${log}`
+          })));
+        }
+        return {
+          entry: { ...day.entry, ...fields },
+          readings: [
+            ...day.readings.filter(reading => !metrics.includes(reading.metric)),
+            ...metrics.map(metric => ({
+              date: entry.date,
+              timestamp: readingTime,
+              metric,
+              value: Number(fields[metric]),
+              timeZone: DateUtils.getTimeZone(),
+              source
+            }))
+          ]
+        };
+      }, { source });
+      return true;
+    } catch (error) {
+      if (error.code === 'INVALID') throw error;
+      console.error('[Storage] Failed to save entry:', error);
+      return false;
+    }
+  },
+  
+  /**
+   * Whether a reading belongs to a logged item (see ITEM_DETAILS)
+   */
+  isItemReading(reading) {
+    return this.getItemLog(reading) !== null;
+  },
+  
+  /**
+   * The log a reading's item is edited in (see ITEM_DETAILS), or null
+   */
+  getItemLog(reading) {
+    const key = reading.details && Object.keys(this.ITEM_DETAILS).find(detail => reading.details[detail]);
+    return key ? this.ITEM_DETAILS[key] : null;
+  },
+  
+  /**
+   * Delete entry by date, including all of its readings.
+   * The day goes to the trash and can be restored.
+   */
+  async deleteEntry(date, source = 'manual') {
+    await this.mutateDay(date, () => ({ entry: null, readings: [] }), { source, trash: true });
+    return true;
+  },
+  
+  /**
+   * Log a single timestamped measurement, e.g. 250 ml of water.
+   * The reading's day defaults to the local date of its timestamp and
+   * is fixed from then on, even if the user later changes timezone.
+   * `details` is optional context kept with the reading, e.g. the arm
+   * a blood pressure was taken on.
+   */
+  async addReading(reading) {
+    const [added] = await this.addReadings([reading]);
+    return added;
+  },
+  
+  /**
+   * Log measurements taken together (e.g. the systolic, diastolic and
+   * pulse of one blood pressure reading) as a single change, so they
+   * are undone together. They must all fall on the same day.
+   */
+  async addReadings(readings) {
+    const prepared = readings.map(({ metric, value, timestamp = new Date().toISOString(), date, source = 'manual', details }) => {
+      if (!this.getRollup(metric)) {
+        throw new Error(`Unknown metric: ${metric}`);
+      }
+      const validation = EntryValidator.validateReading(metric, value);
+      if (!validation.valid) {
+        throw this.createValidationError(validation.errors);
+      }
+      
+      const reading = {
+        date: date || DateUtils.toKey(new Date(timestamp)),
+        timestamp,
+        metric,
+        value: validation.value,
+        timeZone: DateUtils.getTimeZone(),
+        source
+      };
+      if (details) reading.details = details;
+      return reading;
+    });
+    if (prepared.length === 0) return [];
+    if (prepared.some(reading => reading.date !== prepared[0].date)) {
+      throw new Error('Readings logged together must fall on the same day');
+    }
+    
+    await this.mutateDay(prepared[0].date, day => ({
+      entry: day.entry,
+      readings: [...day.readings, ...prepared]
+    }), { source: prepared[0].source });
+    return prepared;
+  },
+  
+  /**
+   * Delete a single reading and recompute its day's rollup
+   */
+  async deleteReading(id, source = 'manual') {
+    return this.deleteReadings([id], source);
+  },
+  
+  /**
+   * Delete readings of one day (e.g. all parts of a blood pressure
+   * reading) as a single change
+   */
+  async deleteReadings(ids, source = 'manual') {
+    await this.init();
+    const reading = await this.transaction(this.READINGS_STORE, 'readonly', store => store.get(ids[0]));
+    // Only the plain date field is needed here
+    if (!reading) return false;
+    
+    await this.mutateDay(reading.date, day => ({
+      entry: day.entry,
+      readings: day.readings.filter(r => !ids.includes(r.id))
+    }), { source });
+    return true;
+  },
+  
+  /**
+   * Get readings for one day (oldest first), optionally for one metric
+   */
+  async getReadings(date, metric = null) {
+    return this.getReadingsInRange(date, date, metric);
+  },
+  
+  /**
+   * Get readings between two dates inclusive (oldest first)
+   */
+  async getReadingsInRange(startDate, endDate, metric = null) {
+    await this.init();
+    const range = IDBKeyRange.bound(startDate, endDate);
+    const readings = await this.transaction(this.READINGS_STORE, 'readonly', store => store.index('date').getAll(range));
+    const matching = readings
+      .filter(reading => !metric || reading.metric === metric)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    return this.openRecords(matching);
+  },
+  
+  /**
+   * Apply a change to one day's entry and readings in a single
+   * transaction and record a revision with the before/after state.
+   * `change` receives a copy of { entry, readings } and returns the new
+   * state; the entry's metric fields are always rebuilt from readings.
+   *
+   * Options:
+   *  - source: who made the change ('manual', 'import', 'undo', ...)
+   *  - undoOp: 'record' (new change), 'undo', 'redo' or null
+   *  - trash: keep the previous state in the trash (deletes)
+   *  - removeTrash: { id } or { revisionId } of a trash item to remove
+   */
+  async mutateDay(date, change, options = {}) {
+    await this.init();
+    return this.enqueueWrite(() => this.applyDayChange(date, change, options));
+  },
+  
+  /**
+   * Run writes one after another. WebCrypto can't be awaited inside an
+   * IndexedDB transaction, so a change reads, seals and then writes in
+   * separate steps that must not interleave with another change.
+   */
+  enqueueWrite(task) {
+    const result = this.writeQueue.then(task, task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  },
+  
+  async applyDayChange(date, change, { source = 'manual', undoOp = 'record', trash = false, removeTrash = null }) {
+    const before = await this.readDay(date);
+    const after = this.buildDay(date, change(structuredClone(before)));
+    after.readings.forEach(reading => {
+      if (reading.id === undefined) reading.id = this.generateId();
+    });
+    
+    const revision = {
+      date,
+      timestamp: new Date().toISOString(),
+      source,
+      action: this.classifyChange(before, after),
+      before: this.isEmptyDay(before) ? null : before,
+      after: this.isEmptyDay(after) ? null : after
+    };
+    const trashItem = trash && revision.before ? { date, deletedAt: revision.timestamp, snapshot: revision.before } : null;
+    
+    const [entry, readings, sealedRevision, sealedTrash] = await Promise.all([
+      this.sealRecord(this.ENTRIES_STORE, after.entry),
+      Promise.all(after.readings.map(reading => this.sealRecord(this.READINGS_STORE, reading))),
+      this.sealRecord(this.REVISIONS_STORE, revision),
+      this.sealRecord(this.TRASH_STORE, trashItem)
+    ]);
+    
+    const stores = [this.ENTRIES_STORE, this.READINGS_STORE, this.REVISIONS_STORE, this.TRASH_STORE, this.META_STORE];
+    await this.transaction(stores, 'readwrite', (entryStore, readingStore, revisionStore, trashStore, metaStore) => {
+      this.writeDay(entryStore, readingStore, before, { entry, readings });
+      
+      const revisionRequest = revisionStore.add(sealedRevision);
+      revisionRequest.onsuccess = () => {
+        revision.id = revisionRequest.result;
+        if (sealedTrash) {
+          trashStore.add({ ...sealedTrash, revisionId: revision.id });
+        }
+        if (removeTrash) {
+          this.removeTrashItem(trashStore, removeTrash);
+        }
+        if (undoOp) {
+          this.updateUndoStacks(metaStore, undoOp, revision.id);
+        }
+      };
+    });
+    this.emitChange(this.ACTION_EVENTS[revision.action], { date, source });
+    return revision;
+  },
+  
+  /**
+   * Read one day's entry and readings
+   */
+  async readDay(date) {
+    const requests = await this.transaction([this.ENTRIES_STORE, this.READINGS_STORE], 'readonly', (entryStore, readingStore) => ({
+      entry: entryStore.get(date),
+      readings: readingStore.index('date').getAll(date)
+    }));
+    return {
+      entry: (await this.openRecord(requests.entry.result)) || null,
+      readings: await this.openRecords(requests.readings.result)
+    };
+  },
+  
+  /**
+   * Ids for new readings are assigned up front so revision snapshots can
+   * be sealed before the write transaction starts
+   */
+  generateId() {
+    this.lastGeneratedId = Math.max(this.lastGeneratedId + 1, Date.now() * 1000);
+    return this.lastGeneratedId;
+  },
+  
+  /**
+   * Normalize a changed day: rebuild the entry's metric fields from
+   * its readings, or drop the entry when nothing is left
+   */
+  buildDay(date, { entry, readings }) {
+    if (!entry && readings.length === 0) {
+      return { entry: null, readings: [] };
+    }
+    
+    const fields = { ...entry, date };
+    this.getMetricIds().forEach(metric => delete fields[metric]);
+    return { entry: { ...fields, ...this.rollupReadings(readings) }, readings };
+  },
+  
+  /**
+   * Write a day's new (already sealed) state over its previous one
+   */
+  writeDay(entryStore, readingStore, before, after) {
+    const keptIds = new Set(after.readings.map(r => r.id));
+    before.readings.forEach(reading => {
+      if (!keptIds.has(reading.id)) readingStore.delete(reading.id);
+    });
+    
+    if (after.entry) {
+      entryStore.put(after.entry);
+    } else if (before.entry) {
+      entryStore.delete(before.entry.date);
+    }
+    after.readings.forEach(reading => readingStore.put(reading));
+  },
+  
+  isEmptyDay(day) {
+    return !day.entry && day.readings.length === 0;
+  },
+  
+  /**
+   * Describe a change: 'create' (day was empty), 'delete' (day is now
+   * empty), 'append' (only new readings/fields added) or 'update'
+   * (an existing value was changed or removed)
+   */
+  classifyChange(before, after) {
+    if (this.isEmptyDay(before)) return 'create';
+    if (this.isEmptyDay(after)) return 'delete';
+    
+    const afterReadings = new Map(after.readings.map(r => [r.id, r]));
+    const readingsKept = before.readings.every(r => afterReadings.get(r.id)?.value === r.value);
+    const fieldsKept = Object.entries(before.entry || {})
+      .filter(([field]) => !this.getRollup(field))
+      .every(([field, value]) => JSON.stringify(after.entry?.[field]) === JSON.stringify(value));
+    
+    return readingsKept && fieldsKept ? 'append' : 'update';
+  },
+  
+  /**
+   * Maintain the persistent undo/redo stacks of revision ids
+   */
+  updateUndoStacks(metaStore, op, revisionId) {
+    const undoRequest = metaStore.get('undoStack');
+    const redoRequest = metaStore.get('redoStack');
+    
+    redoRequest.onsuccess = () => {
+      const undoStack = undoRequest.result?.value || [];
+      const redoStack = redoRequest.result?.value || [];
+      
+      if (op === 'record') {
+        undoStack.push(revisionId);
+        redoStack.length = 0;
+      } else if (op === 'undo') {
+        redoStack.push(undoStack.pop());
+      } else if (op === 'redo') {
+        undoStack.push(redoStack.pop());
+      }
+      
+      metaStore.put({ key: 'undoStack', value: undoStack.slice(-this.UNDO_LIMIT) });
+      metaStore.put({ key: 'redoStack', value: redoStack });
+    };
+  },
+  
+  /**
+   * Undo the most recent change. Resolves with the undone revision,
+   * or null if there is nothing to undo.
+   * The stack is read in the same queued write that pops it, so quick
+   * repeated undos each undo a different change.
+   */
+  async undo() {
+    await this.init();
+    return this.enqueueWrite(async () => {
+      const undoStack = await this.getMeta('undoStack', []);
+      if (undoStack.length === 0) return null;
+      
+      const revision = await this.getRevision(undoStack[undoStack.length - 1]);
+      await this.applyDayChange(revision.date, () => revision.before || { entry: null, readings: [] }, {
+        source: 'undo',
+        undoOp: 'undo',
+        removeTrash: { revisionId: revision.id }
+      });
+      return revision;
+    });
+  },
+  
+  /**
+   * Redo the most recently undone change (see undo)
+   */
+  async redo() {
+    await this.init();
+    return this.enqueueWrite(async () => {
+      const redoStack = await this.getMeta('redoStack', []);
+      if (redoStack.length === 0) return null;
+      
+      const revision = await this.getRevision(redoStack[redoStack.length - 1]);
+      await this.applyDayChange(revision.date, () => revision.after || { entry: null, readings: [] }, {
+        source: 'redo',
+        undoOp: 'redo',
+        trash: revision.action === 'delete'
+      });
+      return revision;
+    });
+  },
+  
+  async getUndoStack() {
+    await this.init();
+    return this.getMeta('undoStack', []);
+  },
+  
+  async canUndo() {
+    return (await this.getUndoStack()).length > 0;
+  },
+  
+  async canRedo() {
+    await this.init();
+    return (await this.getMeta('redoStack', [])).length > 0;
+  },
+  
+  /**
+   * Get a single revision by id
+   */
+  async getRevision(id) {
+    await this.init();
+    return this.openRecord(await this.transaction(this.REVISIONS_STORE, 'readonly', store => store.get(id)));
+  },
+  
+  /**
+   * Get the revision history of one day (oldest first)
+   */
+  async getRevisions(date) {
+    await this.init();
+    return this.openRecords(await this.transaction(this.REVISIONS_STORE, 'readonly', store => store.index('date').getAll(date)));
+  },
+  
+  /**
+   * Get the most recent revisions across all days (newest first)
+   */
+  async getRecentRevisions(limit = 20) {
+    await this.init();
+    const records = await this.transaction(this.REVISIONS_STORE, 'readonly', store => {
+      const revisions = [];
+      const request = store.openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && revisions.length < limit) {
+          revisions.push(cursor.value);
+          cursor.continue();
+        }
+      };
+      return revisions;
+    });
+    return this.openRecords(records);
+  },
+  
+  /**
+   * Summarize which days in a range had values changed or removed after
+   * they were first logged. Returns { [date]: { edits, lastEditedAt } }.
+   * Edits pruned by compactHistory are counted on the edit kept after them.
+   */
+  async getEditHistory(startDate, endDate) {
+    await this.init();
+    const range = IDBKeyRange.bound(startDate, endDate);
+    const revisions = await this.transaction(this.REVISIONS_STORE, 'readonly', store => store.index('date').getAll(range));
+    
+    const history = {};
+    revisions
+      .filter(revision => this.isEditRevision(revision))
+      .forEach(revision => {
+        const info = history[revision.date] || { edits: 0, lastEditedAt: null };
+        info.edits += 1 + (revision.priorEdits || 0);
+        info.lastEditedAt = revision.timestamp;
+        history[revision.date] = info;
+      });
+    return history;
+  },
+  
+  /**
+   * Whether a revision changed or removed what was already logged
+   */
+  isEditRevision(revision) {
+    return revision.action === 'update' || revision.action === 'delete' || revision.source === 'undo' ||
+      revision.source === 'redo' || revision.source === 'restore';
+  },
+  
+  /**
+   * Get deleted days that can still be restored (newest first)
+   */
+  async getTrash() {
+    await this.init();
+    const items = await this.transaction(this.TRASH_STORE, 'readonly', store => store.getAll());
+    return (await this.openRecords(items)).reverse();
+  },
+  
+  /**
+   * Restore a deleted day from the trash. Anything logged for that day
+   * since the delete is kept alongside the restored values.
+   */
+  async restoreFromTrash(trashId) {
+    await this.init();
+    const item = await this.openRecord(await this.transaction(this.TRASH_STORE, 'readonly', store => store.get(trashId)));
+    if (!item) return false;
+    
+    await this.mutateDay(item.date, day => {
+      const currentIds = new Set(day.readings.map(r => r.id));
+      return {
+        entry: { ...item.snapshot.entry, ...day.entry },
+        readings: [...day.readings, ...item.snapshot.readings.filter(r => !currentIds.has(r.id))]
+      };
+    }, { source: 'restore', removeTrash: { id: trashId } });
+    return true;
+  },
+  
+  /**
+   * Permanently delete trash items (all, or only those older than N days)
+   */
+  async emptyTrash(olderThanDays = 0) {
+    await this.init();
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+    await this.transaction(this.TRASH_STORE, 'readwrite', store => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (cursor.value.deletedAt <= cutoff) cursor.delete();
+        cursor.continue();
+      };
+    });
+    return true;
+  },
+  
+  removeTrashItem(trashStore, { id, revisionId }) {
+    if (id !== undefined) {
+      trashStore.delete(id);
+      return;
+    }
+    const request = trashStore.index('revisionId').getAllKeys(revisionId);
+    request.onsuccess = () => request.result.forEach(key => trashStore.delete(key));
+  },
+  
+  /**
+   * Derive daily metric values from a day's readings
+   */
+  rollupReadings(readings) {
+    const valuesByMetric = {};
+    [...readings]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .forEach(reading => {
+        (valuesByMetric[reading.metric] = valuesByMetric[reading.metric] || []).push(reading.value);
+      });
+    
+    const rollup = {};
+    Object.entries(valuesByMetric).forEach(([metric, values]) => {
+      const method = this.getRollup(metric);
+      if (method) {
+        rollup[metric] = this.aggregate(values, method);
+      }
+    });
+    return rollup;
+  },
+  
+  /**
+   * Aggregate a list of values (in time order)
+   */
+  aggregate(values, method) {
+    if (values.length === 0) return null;
+    
+    switch (method) {
+      case 'sum':
+        return Math.round(values.reduce((sum, v) => sum + v, 0) * 100) / 100;
+      case 'mean':
+        return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10;
+      case 'min':
+        return Math.min(...values);
+      case 'max':
+        return Math.max(...values);
+      case 'last':
+        return values[values.length - 1];
+      default:
+        throw new Error(`Unknown aggregation: ${method}`);
+    }
+  },
+  
+  /**
+   * Timestamp for a value logged against a whole day: now if the day is
+   * today, otherwise local noon of that day
+   */
+  getDefaultTimestamp(date) {
+    if (date === DateUtils.today()) {
+      return new Date().toISOString();
+    }
+    return DateUtils.parseKey(date).toISOString();
+  },
+  
+  /**
+   * Query a metric as a time series.
+   *
+   * Options:
+   *  - metric: entry field, or an array of fields (returns { metric: series })
+   *  - start/end: YYYY-MM-DD, inclusive; end defaults to today and start
+   *    to the first logged day
+   *  - days: last N days up to `end` instead of `start`
+   *  - bucket: one of QUERY_BUCKETS
+   *  - aggregate: how daily values combine within a bucket (see aggregate())
+   *  - fill: value for buckets without data; null, a number or 'previous'
+   */
+  async query({ metric, start, end, days, bucket = 'day', aggregate = 'mean', fill = null }) {
+    end = end || DateUtils.today();
+    if (days) start = DateUtils.addDays(end, 1 - days);
+    const entries = start ? await this.getEntriesInRange(start, end) : await this.getEntries();
+    
+    const options = { start, end, bucket, aggregate, fill };
+    if (Array.isArray(metric)) {
+      return Object.fromEntries(metric.map(field => [field, this.buildSeries(entries, { ...options, metric: field })]));
+    }
+    return this.buildSeries(entries, { ...options, metric });
+  },
+  
+  /**
+   * Bucket daily entry values into a series (oldest first) with one
+   * { bucket, start, end, value, count } point per bucket in the range.
+   * `count` is the number of days with data; empty buckets get `fill`.
+   * Takes the same options as query() minus `days`.
+   */
+  buildSeries(entries, { metric, start, end, bucket = 'day', aggregate = 'mean', fill = null }) {
+    if (!this.QUERY_BUCKETS.includes(bucket)) {
+      throw new Error(`Unknown bucket: ${bucket}`);
+    }
+    
+    const valuesByDate = {};
+    entries.forEach(entry => {
+      if (typeof entry[metric] === 'number' && Number.isFinite(entry[metric])) {
+        valuesByDate[entry.date] = entry[metric];
+      }
+    });
+    
+    const first = start || entries.map(entry => entry.date).sort()[0];
+    const last = end || DateUtils.today();
+    if (!first || first > last) return [];
+    
+    const series = [];
+    let previous = null;
+    let bucketStart = bucket === 'all' ? first : this.getBucketStart(first, bucket);
+    while (bucketStart <= last) {
+      const next = bucket === 'all' ? DateUtils.addDays(last, 1) : this.getNextBucketStart(bucketStart, bucket);
+      const bucketEnd = DateUtils.addDays(next, -1);
+      const values = Object.keys(valuesByDate)
+        .filter(date => date >= bucketStart && date <= bucketEnd && date >= first && date <= last)
+        .sort()
+        .map(date => valuesByDate[date]);
+      
+      let value = this.aggregate(values, aggregate);
+      if (value === null) {
+        value = fill === 'previous' ? previous : fill;
+      } else {
+        previous = value;
+      }
+      
+      series.push({ bucket, start: bucketStart, end: bucketEnd, value, count: values.length });
+      bucketStart = next;
+    }
+    return series;
+  },
+  
+  /**
+   * Aggregate one metric over a list of entries into a single value
+   * (null when no entry has the metric)
+   */
+  aggregateEntries(entries, metric, aggregate = 'mean') {
+    const end = entries.map(entry => entry.date).sort().pop();
+    const [total] = this.buildSeries(entries, { metric, end, bucket: 'all', aggregate });
+    return total ? total.value : null;
+  },
+  
+  /**
+   * First day of the bucket a date falls in (weeks follow DateUtils.weekStart)
+   */
+  getBucketStart(date, bucket) {
+    switch (bucket) {
+      case 'week':
+        return DateUtils.startOfWeek(date);
+      case 'month':
+        return DateUtils.startOfMonth(date);
+      default:
+        return date;
+    }
+  },
+  
+  /**
+   * First day of the bucket after the one starting on `date`
+   */
+  getNextBucketStart(date, bucket) {
+    switch (bucket) {
+      case 'week':
+        return DateUtils.addDays(date, 7);
+      case 'month':
+        return DateUtils.startOfNextMonth(date);
+      default:
+        return DateUtils.addDays(date, 1);
+    }
+  },
+  
+  /**
+   * Get entries for date range (inclusive, newest first)
+   */
+  async getEntriesInRange(startDate, endDate) {
+    await this.init();
+    const range = IDBKeyRange.bound(startDate, endDate);
+    const entries = await this.transaction(this.ENTRIES_STORE, 'readonly', store => store.getAll(range));
+    return (await this.openRecords(entries)).reverse();
+  },
+  
+  /**
+   * Get last N days of entries
+   */
+  async getLastNDays(days) {
+    const today = DateUtils.today();
+    const entries = await this.getEntriesInRange(DateUtils.addDays(today, -days), today);
+    return entries.slice(0, days);
+  },
+  
+  /**
+   * Get current week entries (from DateUtils.weekStart)
+   */
+  async getCurrentWeekEntries() {
+    const today = DateUtils.today();
+    return this.getEntriesInRange(DateUtils.startOfWeek(today), today);
+  },
+  
+  /**
+   * Get current month entries
+   */
+  async getCurrentMonthEntries() {
+    const today = DateUtils.today();
+    return this.getEntriesInRange(DateUtils.startOfMonth(today), today);
+  },
+  
+  /**
+   * Check stored entries against EntryValidator, e.g. data saved before
+   * validation existed. Returns { checked, errors, warnings }.
+   */
+  async getValidationReport() {
+    const entries = await this.getEntries();
+    const { errors, warnings } = EntryValidator.validateEntries(entries);
+    return { checked: entries.length, errors, warnings };
+  },
+  
+  /**
+   * Export data as JSON
+   */
+  async exportJSON() {
+    const data = await this.getAll();
+    return JSON.stringify(data, null, 2);
+  },
+  
+  /**
+   * Import data from JSON
+   */
+  async importJSON(jsonString) {
+    try {
+      await this.init();
+      const data = JSON.parse(jsonString);
       // Validate basic structure
       if (!data.entries || !Array.isArray(data.entries)) {
         throw new Error('Invalid data format');
       }
-      this.saveAll(data);
+      // Bring older exports up to the current schema before saving
+      const migrated = this.migrateData(data);
+      const validation = EntryValidator.validateEntries(migrated.entries, { customMetrics: migrated.customMetrics || [] });
+      if (!validation.valid) {
+        throw this.createValidationError(validation.errors);
+      }
+      if (!(await this.saveAll(migrated))) {
+        throw new Error('Failed to save imported data');
+      }
+      this.emitChange('data:replaced', { source: 'import' });
       return { success: true, message: 'Data imported successfully' };
     } catch (error) {
       console.error('[Storage] Import failed:', error);
@@ -253,17 +1928,264 @@ const StorageManager = {
   /**
    * Clear all data (use with caution)
    */
-  clearAll() {
+  async clearAll() {
+    await this.init();
+    await this.clearStores();
+    this.customMetrics = [];
+    if (this.dataKey) {
+      // Data logged from now on is still encrypted
+      await this.setMeta('encryption', { enabled: true });
+    }
     localStorage.removeItem(this.STORAGE_KEY);
     console.log('[Storage] All data cleared');
+    this.emitChange('data:replaced', { source: 'clear' });
+  },
+  
+  /**
+   * Empty every object store of a database
+   */
+  clearStores(db = this.db) {
+    const stores = [this.ENTRIES_STORE, this.READINGS_STORE, this.REVISIONS_STORE, this.TRASH_STORE, this.META_STORE];
+    return this.transaction(stores, 'readwrite', (...objectStores) => {
+      objectStores.forEach(store => store.clear());
+    }, db);
+  },
+  
+  /**
+   * Usage against the browser's storage quota. Without the estimate API
+   * only the size of this partition's data is known.
+   */
+  async getStorageEstimate() {
+    if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return { usage, quota: quota || null };
+    }
+    return { usage: await this.getStorageSize(), quota: null };
+  },
+  
+  /**
+   * Storage health: usage, quota, percent used and a status of 'ok',
+   * 'warning' or 'critical' (see QUOTA_WARNING / QUOTA_CRITICAL)
+   */
+  async checkStorageHealth() {
+    const { usage, quota } = await this.getStorageEstimate();
+    const ratio = quota ? usage / quota : 0;
+    
+    let status = 'ok';
+    if (ratio >= this.QUOTA_CRITICAL) {
+      status = 'critical';
+    } else if (ratio >= this.QUOTA_WARNING) {
+      status = 'warning';
+    }
+    
+    return {
+      usage,
+      quota,
+      percent: quota ? Math.round(ratio * 1000) / 10 : null,
+      status
+    };
+  },
+  
+  /**
+   * Bundle entries older than `months` months, with their readings,
+   * revisions and trash, into a gzip-compressed JSON archive. Nothing is
+   * deleted here: call removeArchivedData(cutoff) once the file is saved.
+   */
+  async createArchive(months) {
+    await this.init();
+    const cutoffDate = new Date();
+    cutoffDate.setMonth(cutoffDate.getMonth() - months);
+    const cutoff = DateUtils.toKey(cutoffDate);
+    
+    const data = await this.readAll();
+    const isOld = record => record.date < cutoff;
+    const archive = {
+      format: this.ARCHIVE_FORMAT,
+      schemaVersion: this.SCHEMA_VERSION,
+      createdAt: new Date().toISOString(),
+      cutoff,
+      entries: data.entries.filter(isOld),
+      readings: data.readings.filter(isOld),
+      revisions: data.revisions.filter(isOld),
+      trash: data.trash.filter(isOld)
+    };
+    
+    const json = JSON.stringify(archive);
+    const compressed = typeof CompressionStream !== 'undefined';
+    const blob = compressed
+      ? await new Response(new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'))).blob()
+      : new Blob([json], { type: 'application/json' });
+    
+    return {
+      blob,
+      cutoff,
+      filename: `health-archive-before-${cutoff}.json${compressed ? '.gz' : ''}`,
+      entries: archive.entries.length,
+      readings: archive.readings.length
+    };
+  },
+  
+  /**
+   * Delete everything dated before `cutoff` after it has been archived
+   */
+  async removeArchivedData(cutoff) {
+    await this.init();
+    return this.enqueueWrite(async () => {
+      const range = IDBKeyRange.upperBound(cutoff, true);
+      const stores = [this.ENTRIES_STORE, this.READINGS_STORE, this.REVISIONS_STORE, this.TRASH_STORE];
+      const removed = await this.transaction(stores, 'readwrite', (entryStore, readingStore, revisionStore, trashStore) => {
+        const counts = { entries: 0 };
+        const countRequest = entryStore.count(range);
+        countRequest.onsuccess = () => {
+          counts.entries = countRequest.result;
+          entryStore.delete(range);
+        };
+        [readingStore, revisionStore, trashStore].forEach(store => this.deleteByIndex(store, 'date', range));
+        return counts;
+      });
+      await this.pruneUndoStacks();
+      console.log(`[Storage] Archived ${removed.entries} entries dated before ${cutoff}`);
+      this.emitChange('data:replaced', { source: 'archive' });
+      return removed;
+    });
+  },
+  
+  /**
+   * Merge an archive file back in. Days that have data again since they
+   * were archived keep their current data.
+   */
+  async restoreArchive(file) {
+    await this.init();
+    const bytes = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    const gzipped = bytes[0] === 0x1f && bytes[1] === 0x8b;
+    const text = gzipped
+      ? await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text()
+      : await file.text();
+    
+    const archive = JSON.parse(text);
+    if (archive.format !== this.ARCHIVE_FORMAT) {
+      throw new Error('Not a Health Tracker archive');
+    }
+    const data = this.migrateData(archive);
+    
+    return this.enqueueWrite(async () => {
+      const existingDates = new Set(await this.transaction(this.ENTRIES_STORE, 'readonly', store => store.getAllKeys()));
+      const isNew = record => !existingDates.has(record.date);
+      const seal = (storeName, records) => Promise.all(records.filter(isNew).map(record => this.sealRecord(storeName, record)));
+      const [entries, readings, revisions, trash] = await Promise.all([
+        seal(this.ENTRIES_STORE, data.entries),
+        seal(this.READINGS_STORE, data.readings),
+        seal(this.REVISIONS_STORE, data.revisions),
+        seal(this.TRASH_STORE, data.trash)
+      ]);
+      
+      const stores = [this.ENTRIES_STORE, this.READINGS_STORE, this.REVISIONS_STORE, this.TRASH_STORE];
+      await this.transaction(stores, 'readwrite', (entryStore, readingStore, revisionStore, trashStore) => {
+        entries.forEach(entry => entryStore.put(entry));
+        readings.forEach(reading => readingStore.put(reading));
+        revisions.forEach(revision => revisionStore.put(revision));
+        trash.forEach(item => trashStore.put(item));
+      });
+      console.log(`[Storage] Restored ${entries.length} archived entries`);
+      this.emitChange('data:replaced', { source: 'archive' });
+      return { entries: entries.length, skipped: data.entries.length - entries.length };
+    });
+  },
+  
+  /**
+   * Shrink the change history: drop revisions and trash older than
+   * `keepDays`. The latest revision of each day is kept, and so is its
+   * latest edit, which takes on the count of the older edits dropped so
+   * edited markers (see getEditHistory) stay accurate.
+   */
+  async compactHistory(keepDays = 30) {
+    await this.init();
+    const cutoff = new Date(Date.now() - keepDays * 24 * 60 * 60 * 1000).toISOString();
+    
+    return this.enqueueWrite(async () => {
+      const removed = await this.transaction([this.REVISIONS_STORE, this.TRASH_STORE], 'readwrite', (revisionStore, trashStore) => {
+        const counts = { revisions: 0, trash: 0 };
+        const latestDates = new Set();
+        // date -> { revision, dropped } for the latest edit of each day
+        const latestEdits = new Map();
+        
+        // Newest first, so the first revision seen for a day is its latest
+        const revisionRequest = revisionStore.openCursor(null, 'prev');
+        revisionRequest.onsuccess = () => {
+          const cursor = revisionRequest.result;
+          if (!cursor) {
+            latestEdits.forEach(({ revision, dropped }) => {
+              if (dropped > 0) revisionStore.put({ ...revision, priorEdits: (revision.priorEdits || 0) + dropped });
+            });
+            return;
+          }
+          const revision = cursor.value;
+          const isEdit = this.isEditRevision(revision);
+          if (isEdit && !latestEdits.has(revision.date)) {
+            latestEdits.set(revision.date, { revision, dropped: 0 });
+          } else if (latestDates.has(revision.date) && revision.timestamp < cutoff) {
+            cursor.delete();
+            counts.revisions++;
+            if (isEdit) latestEdits.get(revision.date).dropped += 1 + (revision.priorEdits || 0);
+          }
+          latestDates.add(revision.date);
+          cursor.continue();
+        };
+        
+        const trashRequest = trashStore.openCursor();
+        trashRequest.onsuccess = () => {
+          const cursor = trashRequest.result;
+          if (!cursor) return;
+          if (cursor.value.deletedAt < cutoff) {
+            cursor.delete();
+            counts.trash++;
+          }
+          cursor.continue();
+        };
+        return counts;
+      });
+      await this.pruneUndoStacks();
+      console.log(`[Storage] Compacted ${removed.revisions} revisions and ${removed.trash} trash items`);
+      return removed;
+    });
+  },
+  
+  /**
+   * Delete every record whose index key is in range
+   */
+  deleteByIndex(store, indexName, range) {
+    const request = store.index(indexName).openKeyCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  },
+  
+  /**
+   * Drop undo/redo references to revisions that no longer exist
+   */
+  pruneUndoStacks() {
+    return this.transaction([this.REVISIONS_STORE, this.META_STORE], 'readwrite', (revisionStore, metaStore) => {
+      const keysRequest = revisionStore.getAllKeys();
+      const undoRequest = metaStore.get('undoStack');
+      const redoRequest = metaStore.get('redoStack');
+      
+      redoRequest.onsuccess = () => {
+        const ids = new Set(keysRequest.result);
+        metaStore.put({ key: 'undoStack', value: (undoRequest.result?.value || []).filter(id => ids.has(id)) });
+        metaStore.put({ key: 'redoStack', value: (redoRequest.result?.value || []).filter(id => ids.has(id)) });
+      };
+    });
   },
   
   /**
-   * Get storage size in bytes
+   * Get approximate storage size in bytes
    */
-  getStorageSize() {
-    const data = localStorage.getItem(this.STORAGE_KEY);
-    return data ? new Blob([data]).size : 0;
+  async getStorageSize() {
+    const data = await this.getAll();
+    return data ? new Blob([JSON.stringify(data)]).size : 0;
   }
 };
 
@@ -0,0 +1,295 @@
+// symptoms.js - Symptom journal for Digital Health Tracker
+// Dated symptoms with severity, and recurring combinations run through MedicalAI
+
+/**
+ * Symptom Journal
+ * Each symptom is a 'symptomSeverity' reading (0-10) whose details keep
+ * the symptom, body location, duration in minutes and free-text notes,
+ * so the journal gets undo, history and encryption like other readings.
+ * The day's entry keeps its worst severity.
+ *
+ * MedicalAI.analyzeSymptoms matches on single words of its symptom
+ * database keys, so every symptom is passed as the one word that names
+ * it there (chest pain as 'chest', shortness of breath as 'breath').
+ * Symptoms that keep occurring together on RECURRING_MIN_DAYS or more
+ * days are run through the checker as a combination.
+ */
+const SymptomJournal = {
+  SYMPTOMS: {
+    headache: { label: 'Headache', term: 'headache' },
+    fever: { label: 'Fever', term: 'fever' },
+    fatigue: { label: 'Fatigue', term: 'fatigue' },
+    cough: { label: 'Cough', term: 'cough' },
+    chestPain: { label: 'Chest pain', term: 'chest' },
+    shortnessOfBreath: { label: 'Shortness of breath', term: 'breath' },
+    abdominalPain: { label: 'Abdominal pain', term: 'abdominal' },
+    nausea: { label: 'Nausea', term: 'nausea' },
+    frequentUrination: { label: 'Frequent urination', term: 'urination' },
+    thirst: { label: 'Excessive thirst', term: 'thirst' },
+    dizziness: { label: 'Dizziness', term: 'dizziness' },
+    soreThroat: { label: 'Sore throat', term: 'throat' },
+    backPain: { label: 'Back pain', term: 'back' },
+    jointPain: { label: 'Joint pain', term: 'joint' },
+    rash: { label: 'Rash', term: 'rash' },
+    insomnia: { label: 'Trouble sleeping', term: 'insomnia' }
+  },
+  BODY_LOCATIONS: {
+    head: 'Head',
+    throat: 'Throat / neck',
+    chest: 'Chest',
+    abdomen: 'Abdomen',
+    back: 'Back',
+    arms: 'Arms / hands',
+    legs: 'Legs / feet',
+    joints: 'Joints',
+    skin: 'Skin',
+    general: 'Whole body'
+  },
+  DURATION_UNITS: { minutes: 1, hours: 60, days: 1440 },
+  // Days a combination must occur on to count as recurring
+  RECURRING_MIN_DAYS: 2,
+  // Largest combination checked (the checker's entries have up to three)
+  MAX_COMBINATION: 3,
+  // Days covered by the journal report
+  REPORT_DAYS: 30,
+  URGENCY_ORDER: ['Emergency', 'High', 'Medium', 'Low'],
+  
+  // Rough 1-5 scores for common moods, for charting mood next to symptoms
+  MOOD_SCORES: {
+    happy: 5,
+    energetic: 5,
+    great: 5,
+    good: 4,
+    calm: 4,
+    neutral: 3,
+    okay: 3,
+    tired: 2,
+    stressed: 2,
+    anxious: 2,
+    sad: 1,
+    exhausted: 1
+  },
+  
+  medicalAI: null,
+  
+  /**
+   * Log a symptom. `symptom` is a SYMPTOMS id or the user's own name
+   * for it; `durationMinutes` and `location` are optional.
+   */
+  async logSymptom({ symptom, severity, durationMinutes = null, location = '', notes = '', timestamp = new Date().toISOString() }) {
+    const name = String(symptom || '').trim();
+    if (!name) {
+      throw new Error('Choose or enter a symptom');
+    }
+    if (location && !this.BODY_LOCATIONS[location]) {
+      throw new Error(`Unknown body location: ${location}`);
+    }
+    const duration = durationMinutes === null || durationMinutes === '' ? null : Number(durationMinutes);
+    if (duration !== null && !(duration >= 0)) {
+      throw new Error('Duration must be zero or more');
+    }
+    
+    const details = { symptom: name };
+    if (location) details.location = location;
+    if (duration !== null) details.durationMinutes = Math.round(duration);
+    if (String(notes).trim()) details.notes = String(notes).trim();
+    const reading = await StorageManager.addReading({ metric: 'symptomSeverity', value: severity, timestamp, details });
+    return this.toRecord(reading);
+  },
+  
+  getLabel(symptom) {
+    return this.SYMPTOMS[symptom] ? this.SYMPTOMS[symptom].label : symptom;
+  },
+  
+  /**
+   * Journal records of the last `days` days (oldest first) as
+   * { id, date, timestamp, symptom, label, severity, location, durationMinutes, notes }
+   */
+  async getRecords(days = this.REPORT_DAYS) {
+    const today = DateUtils.today();
+    const readings = await StorageManager.getReadingsInRange(DateUtils.addDays(today, -(days - 1)), today, 'symptomSeverity');
+    return readings.filter(reading => reading.details && reading.details.symptom).map(reading => this.toRecord(reading));
+  },
+  
+  toRecord(reading) {
+    const details = reading.details || {};
+    return {
+      id: reading.id,
+      date: reading.date,
+      timestamp: reading.timestamp,
+      timeZone: reading.timeZone,
+      symptom: details.symptom,
+      label: this.getLabel(details.symptom),
+      severity: reading.value,
+      location: details.location || '',
+      durationMinutes: details.durationMinutes ?? null,
+      notes: details.notes || ''
+    };
+  },
+  
+  /**
+   * Duration in the largest whole unit, e.g. '3 hours'
+   */
+  formatDuration(minutes) {
+    if (minutes === null || minutes === undefined) return '';
+    const [unit, size] = Object.entries(this.DURATION_UNITS)
+      .reverse()
+      .find(([, length]) => minutes >= length && minutes % length === 0) || ['minutes', 1];
+    const amount = minutes / size;
+    return `${amount} ${amount === 1 ? unit.slice(0, -1) : unit}`;
+  },
+  
+  /**
+   * How often each symptom was logged, most frequent first:
+   * [{ symptom, label, count, days, averageSeverity, maxSeverity, lastDate }]
+   */
+  summarize(records) {
+    const bySymptom = new Map();
+    records.forEach(record => {
+      if (!bySymptom.has(record.symptom)) bySymptom.set(record.symptom, []);
+      bySymptom.get(record.symptom).push(record);
+    });
+    
+    return [...bySymptom].map(([symptom, group]) => ({
+      symptom,
+      label: this.getLabel(symptom),
+      count: group.length,
+      days: new Set(group.map(record => record.date)).size,
+      averageSeverity: StorageManager.aggregate(group.map(record => record.severity), 'mean'),
+      maxSeverity: Math.max(...group.map(record => record.severity)),
+      lastDate: group[group.length - 1].date
+    })).sort((a, b) => b.count - a.count || b.averageSeverity - a.averageSeverity);
+  },
+  
+  /**
+   * Symptom combinations logged together on at least `minDays` days,
+   * each with MedicalAI's analysis (null when the checker knows no
+   * match). A combination is left out when a larger one occurs on the
+   * same days. Most urgent first, then most frequent.
+   */
+  findRecurringCombinations(records, minDays = this.RECURRING_MIN_DAYS) {
+    const byDate = new Map();
+    records.forEach(record => {
+      if (!byDate.has(record.date)) byDate.set(record.date, new Map());
+      const day = byDate.get(record.date);
+      day.set(record.symptom, Math.max(day.get(record.symptom) ?? 0, record.severity));
+    });
+    
+    const combinations = new Map();
+    byDate.forEach((day, date) => {
+      const symptoms = [...day.keys()].sort();
+      this.getSubsets(symptoms, this.MAX_COMBINATION).forEach(subset => {
+        const key = subset.join('|');
+        if (!combinations.has(key)) {
+          combinations.set(key, { symptoms: subset, dates: [], maxSeverity: 0 });
+        }
+        const combination = combinations.get(key);
+        combination.dates.push(date);
+        combination.maxSeverity = Math.max(combination.maxSeverity, ...subset.map(symptom => day.get(symptom)));
+      });
+    });
+    
+    const recurring = [...combinations.values()].filter(combination => combination.dates.length >= minDays);
+    const urgency = combination => (combination.analysis ? this.URGENCY_ORDER.indexOf(combination.analysis.urgency) : this.URGENCY_ORDER.length);
+    return recurring
+      .filter(combination => !recurring.some(other =>
+        other.symptoms.length > combination.symptoms.length &&
+        other.dates.length === combination.dates.length &&
+        combination.symptoms.every(symptom => other.symptoms.includes(symptom))))
+      .map(combination => ({
+        ...combination,
+        labels: combination.symptoms.map(symptom => this.getLabel(symptom)),
+        days: combination.dates.length,
+        analysis: this.analyze(combination.symptoms)
+      }))
+      .sort((a, b) => urgency(a) - urgency(b) || b.days - a.days);
+  },
+  
+  /**
+   * Every combination of 2 to `maxSize` items
+   */
+  getSubsets(items, maxSize) {
+    const subsets = [];
+    const extend = (start, current) => {
+      if (current.length >= 2) subsets.push(current);
+      if (current.length === maxSize) return;
+      for (let i = start; i < items.length; i++) {
+        extend(i + 1, [...current, items[i]]);
+      }
+    };
+    extend(0, []);
+    return subsets;
+  },
+  
+  /**
+   * MedicalAI's symptom checker result for a set of symptoms, or null
+   * when it only has its generic advice
+   */
+  analyze(symptoms) {
+    const medicalAI = this.getMedicalAI();
+    const terms = symptoms.map(symptom => (this.SYMPTOMS[symptom] ? this.SYMPTOMS[symptom].term : symptom.toLowerCase()));
+    const result = medicalAI.analyzeSymptoms(terms);
+    const matched = result.confidence !== undefined || Object.values(medicalAI.symptomDatabase).includes(result);
+    return matched ? result : null;
+  },
+  
+  getMedicalAI() {
+    if (!this.medicalAI) {
+      this.medicalAI = new MedicalAI();
+      this.medicalAI.initSymptomChecker();
+    }
+    return this.medicalAI;
+  },
+  
+  getMoodScore(mood) {
+    return mood ? (this.MOOD_SCORES[String(mood).toLowerCase()] ?? null) : null;
+  },
+  
+  /**
+   * Symptoms logged per day alongside the day's sleep and mood, for
+   * every day of the last `days` days (oldest first):
+   * [{ date, count, maxSeverity, sleep, mood, moodScore }]
+   */
+  async getDailyOverview(records, days = this.REPORT_DAYS) {
+    const entries = await StorageManager.getLastNDays(days);
+    const byDate = new Map(entries.map(entry => [entry.date, entry]));
+    const today = DateUtils.today();
+    
+    return Array.from({ length: days }, (_, index) => {
+      const date = DateUtils.addDays(today, index - (days - 1));
+      const logged = records.filter(record => record.date === date);
+      const entry = byDate.get(date) || {};
+      return {
+        date,
+        count: logged.length,
+        maxSeverity: logged.length > 0 ? Math.max(...logged.map(record => record.severity)) : null,
+        sleep: typeof entry.sleep === 'number' ? entry.sleep : null,
+        mood: entry.mood || null,
+        moodScore: this.getMoodScore(entry.mood)
+      };
+    });
+  },
+  
+  /**
+   * The journal of the last `days` days with its per-symptom summary
+   * and recurring combinations, for the journal page and doctor report
+   */
+  async getReport(days = this.REPORT_DAYS) {
+    const records = await this.getRecords(days);
+    return {
+      startDate: DateUtils.addDays(DateUtils.today(), -(days - 1)),
+      endDate: DateUtils.today(),
+      records,
+      summary: this.summarize(records),
+      recurring: this.findRecurringCombinations(records)
+    };
+  }
+};
+
+// Expose to window
+window.SymptomJournal = SymptomJournal;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SymptomJournal;
+}
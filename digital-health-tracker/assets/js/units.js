@@ -0,0 +1,106 @@
+// units.js - Metric/imperial display units for Digital Health Tracker
+// Converts between stored (canonical) values and what the user sees
+
+/**
+ * Unit System
+ * Values are always stored in canonical units: height and waist in cm,
+ * weight in kg, water in ml, distance in km. Anything shown to or
+ * typed by the user goes through toDisplay()/fromDisplay() for the
+ * active system (settings.units).
+ * Fields without an entry in QUANTITIES (steps, bpm, hours, kcal) are
+ * the same in both systems and pass through unchanged.
+ */
+const UnitSystem = {
+  SYSTEMS: ['metric', 'imperial'],
+  
+  // Canonical unit and per-system display unit, factor and precision
+  QUANTITIES: {
+    height: {
+      canonical: 'cm',
+      metric: { unit: 'cm', factor: 1, decimals: 0 },
+      imperial: { unit: 'in', factor: 1 / 2.54, decimals: 1 }
+    },
+    weight: {
+      canonical: 'kg',
+      metric: { unit: 'kg', factor: 1, decimals: 1 },
+      imperial: { unit: 'lb', factor: 2.20462, decimals: 1 }
+    },
+    waist: {
+      canonical: 'cm',
+      metric: { unit: 'cm', factor: 1, decimals: 1 },
+      imperial: { unit: 'in', factor: 1 / 2.54, decimals: 1 }
+    },
+    water: {
+      canonical: 'ml',
+      metric: { unit: 'ml', factor: 1, decimals: 0 },
+      imperial: { unit: 'fl oz', factor: 1 / 29.5735, decimals: 1 }
+    },
+    distance: {
+      canonical: 'km',
+      metric: { unit: 'km', factor: 1, decimals: 2 },
+      imperial: { unit: 'mi', factor: 0.621371, decimals: 2 }
+    }
+  },
+  
+  system: 'metric',
+  
+  /**
+   * Set the active system (anything unknown falls back to metric)
+   */
+  setSystem(system) {
+    this.system = this.SYSTEMS.includes(system) ? system : 'metric';
+  },
+  
+  /**
+   * Display unit, factor and precision of a quantity (null if none)
+   */
+  getDisplay(quantity, system = this.system) {
+    const spec = this.QUANTITIES[quantity];
+    return spec ? spec[system] : null;
+  },
+  
+  /**
+   * Display unit label for a quantity ('' if it has none)
+   */
+  unit(quantity, system = this.system) {
+    const display = this.getDisplay(quantity, system);
+    return display ? display.unit : '';
+  },
+  
+  /**
+   * Canonical value -> rounded display value
+   */
+  toDisplay(quantity, value, system = this.system) {
+    const display = this.getDisplay(quantity, system);
+    if (!display || value === null || value === undefined) return value;
+    const scale = 10 ** display.decimals;
+    return Math.round(value * display.factor * scale) / scale;
+  },
+  
+  /**
+   * Display (typed) value -> canonical value
+   */
+  fromDisplay(quantity, value, system = this.system) {
+    const display = this.getDisplay(quantity, system);
+    if (!display || value === null || value === undefined || Number.isNaN(value)) return value;
+    return Math.round(value / display.factor * 10) / 10;
+  },
+  
+  /**
+   * Canonical value formatted with its display unit, e.g. "64 fl oz"
+   */
+  format(quantity, value, system = this.system) {
+    if (value === null || value === undefined) return '--';
+    const display = this.getDisplay(quantity, system);
+    if (!display) return String(value);
+    return `${this.toDisplay(quantity, value, system).toLocaleString()} ${display.unit}`;
+  }
+};
+
+// Expose to window
+window.UnitSystem = UnitSystem;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UnitSystem;
+}
@@ -0,0 +1,192 @@
+// validation.js - Health entry validation for Digital Health Tracker
+// Declarative field schema checked on save and import
+
+/**
+ * Entry Validator
+ * SCHEMA describes each entry field: type, unit and plausible range.
+ * Values outside min/max are errors and block the save; values outside
+ * warnMin/warnMax are possible but unusual, and forms ask the user to
+ * confirm them. Fields not in the schema are passed through unchecked.
+ * Custom metrics (see StorageManager.saveCustomMetric) get their rules
+ * from their definitions.
+ *
+ * Ranges are in canonical units (see UnitSystem); messages show them in
+ * the user's units.
+ *
+ * Issues are { field, value, severity: 'error' | 'warning', message }.
+ */
+const EntryValidator = {
+  SCHEMA: {
+    date: { type: 'date', label: 'Date', required: true },
+    steps: { type: 'integer', label: 'Steps', unit: 'steps', min: 0, max: 100000, warnMax: 40000 },
+    heartRate: { type: 'number', label: 'Heart rate', unit: 'bpm', min: 25, max: 250, warnMin: 40, warnMax: 120 },
+    sleep: { type: 'number', label: 'Sleep', unit: 'hours', min: 0, max: 24, warnMin: 3, warnMax: 14 },
+    water: { type: 'number', label: 'Water', unit: 'ml', min: 0, max: 10000, warnMax: 5000 },
+    calories: { type: 'number', label: 'Calories', unit: 'kcal', min: 0, max: 15000, warnMin: 800, warnMax: 5000 },
+    weight: { type: 'number', label: 'Weight', unit: 'kg', min: 20, max: 400, warnMin: 35, warnMax: 250 },
+    bodyFat: { type: 'number', label: 'Body fat', unit: '%', min: 2, max: 75, warnMin: 5, warnMax: 50 },
+    waist: { type: 'number', label: 'Waist', unit: 'cm', min: 30, max: 250, warnMin: 50, warnMax: 160 },
+    systolic: { type: 'number', label: 'Systolic pressure', unit: 'mmHg', min: 50, max: 300, warnMin: 90, warnMax: 180 },
+    diastolic: { type: 'number', label: 'Diastolic pressure', unit: 'mmHg', min: 30, max: 200, warnMin: 50, warnMax: 120 },
+    pulse: { type: 'number', label: 'Pulse', unit: 'bpm', min: 25, max: 250, warnMin: 40, warnMax: 120 },
+    glucose: { type: 'number', label: 'Blood glucose', unit: 'mg/dL', min: 10, max: 1000, warnMin: 70, warnMax: 250 },
+    doses: { type: 'integer', label: 'Medication doses', unit: 'doses', min: 0, max: 100 },
+    symptomSeverity: { type: 'integer', label: 'Symptom severity', unit: '/10', min: 0, max: 10 },
+    protein: { type: 'number', label: 'Protein', unit: 'g', min: 0, max: 1000 },
+    carbs: { type: 'number', label: 'Carbohydrates', unit: 'g', min: 0, max: 2000 },
+    fat: { type: 'number', label: 'Fat', unit: 'g', min: 0, max: 1000 },
+    fiber: { type: 'number', label: 'Fiber', unit: 'g', min: 0, max: 300 },
+    sodium: { type: 'number', label: 'Sodium', unit: 'mg', min: 0, max: 50000 },
+    exercise: { type: 'integer', label: 'Exercise', unit: 'min', min: 0, max: 1440, warnMax: 360 },
+    caloriesBurned: { type: 'number', label: 'Calories burned', unit: 'kcal', min: 0, max: 10000, warnMax: 4000 },
+    mood: { type: 'string', label: 'Mood', maxLength: 50 },
+    notes: { type: 'string', label: 'Notes', maxLength: 2000 }
+  },
+  
+  /**
+   * Rule for a schema field or custom metric id, or null if unchecked
+   */
+  getRule(field, customMetrics = StorageManager.customMetrics) {
+    if (this.SCHEMA[field]) return this.SCHEMA[field];
+    
+    const metric = customMetrics.find(custom => custom.id === field);
+    if (!metric) return null;
+    return {
+      type: metric.type === 'number' ? 'number' : 'integer',
+      label: metric.name,
+      unit: metric.type === 'boolean' ? '' : metric.unit,
+      min: metric.min ?? undefined,
+      max: metric.max ?? undefined
+    };
+  },
+  
+  /**
+   * Check one value against its field rule. Numeric strings are coerced
+   * to numbers; the (possibly coerced) value is returned with any issues.
+   * `partial` skips the low-value warning, for readings that are only
+   * part of a day's total. `averaged` allows fractions in whole-number
+   * fields, for daily values that are the mean of several readings.
+   */
+  validateField(field, value, { partial = false, averaged = false, customMetrics } = {}) {
+    const rule = this.getRule(field, customMetrics);
+    const issues = [];
+    const issue = (severity, message) => issues.push({ field, value, severity, message });
+    
+    if (!rule) return { value, issues };
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) issue('error', `${rule.label} is required`);
+      return { value, issues };
+    }
+    
+    switch (rule.type) {
+      case 'date':
+        // Impossible dates (2025-02-30) roll over to another day, so the key must read back unchanged
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || DateUtils.toKey(DateUtils.parseKey(value)) !== value) {
+          issue('error', `${rule.label} must be a YYYY-MM-DD date`);
+        }
+        return { value, issues };
+      
+      case 'string':
+        if (typeof value !== 'string') {
+          issue('error', `${rule.label} must be text`);
+        } else if (rule.maxLength && value.length > rule.maxLength) {
+          issue('error', `${rule.label} is longer than ${rule.maxLength} characters`);
+        }
+        return { value, issues };
+      
+      default: {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          issue('error', `${rule.label} must be a number`);
+          return { value, issues };
+        }
+        if (rule.type === 'integer' && !averaged && !Number.isInteger(number)) {
+          issue('error', `${rule.label} must be a whole number`);
+        }
+        
+        const show = amount => (UnitSystem.getDisplay(field) ? UnitSystem.format(field, amount) : `${amount} ${rule.unit}`.trim());
+        if (number < rule.min) {
+          issue('error', `${rule.label}: ${show(number)} is below the plausible minimum of ${show(rule.min)}`);
+        } else if (number > rule.max) {
+          issue('error', `${rule.label}: ${show(number)} is above the plausible maximum of ${show(rule.max)}`);
+        } else if (!partial && rule.warnMin !== undefined && number < rule.warnMin) {
+          issue('warning', `${rule.label}: ${show(number)} is unusually low (under ${show(rule.warnMin)})`);
+        } else if (rule.warnMax !== undefined && number > rule.warnMax) {
+          issue('warning', `${rule.label}: ${show(number)} is unusually high (over ${show(rule.warnMax)})`);
+        }
+        return { value: number, issues };
+      }
+    }
+  },
+  
+  /**
+   * Validate a whole entry. Returns the entry with coerced values and
+   * its errors and warnings. `customMetrics` defaults to the current
+   * definitions; imports pass the ones that come with the data.
+   */
+  validateEntry(entry, { customMetrics = StorageManager.customMetrics } = {}) {
+    const normalized = { ...entry };
+    const issues = [];
+    const fields = [...Object.keys(this.SCHEMA), ...customMetrics.map(metric => metric.id)];
+    
+    fields.forEach(field => {
+      const rollup = StorageManager.METRIC_ROLLUPS[field] || customMetrics.find(metric => metric.id === field)?.aggregate;
+      const result = this.validateField(field, entry[field], { customMetrics, averaged: rollup === 'mean' });
+      if (entry[field] !== undefined) normalized[field] = result.value;
+      issues.push(...result.issues);
+    });
+    
+    return this.summarize(issues, { entry: normalized });
+  },
+  
+  /**
+   * Validate a single timestamped reading's value. Summed metrics are
+   * not warned about for being low, since the day may not be over.
+   */
+  validateReading(metric, value) {
+    const partial = StorageManager.getRollup(metric) === 'sum';
+    const result = this.validateField(metric, value, { partial });
+    return this.summarize(result.issues, { value: result.value });
+  },
+  
+  /**
+   * Validate a list of entries, tagging each issue with its date
+   */
+  validateEntries(entries, options = {}) {
+    const issues = [];
+    entries.forEach(entry => {
+      const { errors, warnings } = this.validateEntry(entry, options);
+      [...errors, ...warnings].forEach(issue => issues.push({ date: entry.date, ...issue }));
+    });
+    return this.summarize(issues);
+  },
+  
+  summarize(issues, extra = {}) {
+    const errors = issues.filter(issue => issue.severity === 'error');
+    return {
+      ...extra,
+      valid: errors.length === 0,
+      errors,
+      warnings: issues.filter(issue => issue.severity === 'warning')
+    };
+  },
+  
+  /**
+   * One line per issue, for alerts and error messages
+   */
+  formatIssues(issues, limit = 5) {
+    const lines = issues.slice(0, limit).map(issue => (issue.date ? `${issue.date}: ${issue.message}` : issue.message));
+    if (issues.length > limit) {
+      lines.push(`...and ${issues.length - limit} more`);
+    }
+    return lines.join('\n');
+  }
+};
+
+// Expose to window
+window.EntryValidator = EntryValidator;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EntryValidator;
+}
@@ -0,0 +1,269 @@
+// vitals.js - Blood pressure and glucose logs for Digital Health Tracker
+// Timestamped readings, clinical classification and crisis alerts
+
+/**
+ * Vital Signs
+ * A blood pressure reading is logged as systolic, diastolic and pulse
+ * readings sharing one timestamp (one change, undone together), with
+ * the arm and position kept as reading details. Glucose readings keep
+ * whether they were taken fasting, after a meal or at random.
+ *
+ * Single readings vary a lot, so blood pressure is staged (ACC/AHA
+ * 2017) from the average of the last AVERAGE_DAYS days. Only a single
+ * reading in the crisis range raises an alert straight away.
+ */
+const VitalSigns = {
+  BP_METRICS: ['systolic', 'diastolic', 'pulse'],
+  ARMS: { left: 'Left arm', right: 'Right arm' },
+  POSITIONS: { sitting: 'Sitting', standing: 'Standing', lying: 'Lying down' },
+  GLUCOSE_CONTEXTS: { fasting: 'Fasting', postMeal: 'After a meal', random: 'Random' },
+  // Days of readings averaged for staging and the risk calculators
+  AVERAGE_DAYS: 14,
+  
+  /**
+   * ACC/AHA 2017 blood pressure categories, most severe first. A reading
+   * falls in the first category either of its numbers reaches.
+   */
+  BP_STAGES: [
+    { id: 'crisis', label: 'Hypertensive crisis', level: 'danger', systolic: 180.5, diastolic: 120.5 },
+    { id: 'stage2', label: 'Stage 2 hypertension', level: 'danger', systolic: 140, diastolic: 90 },
+    { id: 'stage1', label: 'Stage 1 hypertension', level: 'warning', systolic: 130, diastolic: 80 },
+    { id: 'elevated', label: 'Elevated', level: 'warning', systolic: 120, diastolic: Infinity },
+    { id: 'normal', label: 'Normal', level: 'success', systolic: 0, diastolic: 0 }
+  ],
+  
+  /**
+   * ADA glucose ranges in mg/dL for each kind of reading: the first
+   * range whose `below` the value is under applies
+   */
+  GLUCOSE_RANGES: {
+    fasting: [
+      { id: 'low', label: 'Low', level: 'danger', below: 70 },
+      { id: 'normal', label: 'Normal', level: 'success', below: 100 },
+      { id: 'prediabetes', label: 'Prediabetes range', level: 'warning', below: 126 },
+      { id: 'diabetes', label: 'Diabetes range', level: 'danger', below: Infinity }
+    ],
+    postMeal: [
+      { id: 'low', label: 'Low', level: 'danger', below: 70 },
+      { id: 'normal', label: 'Normal', level: 'success', below: 140 },
+      { id: 'prediabetes', label: 'Prediabetes range', level: 'warning', below: 200 },
+      { id: 'diabetes', label: 'Diabetes range', level: 'danger', below: Infinity }
+    ],
+    random: [
+      { id: 'low', label: 'Low', level: 'danger', below: 70 },
+      { id: 'normal', label: 'Normal', level: 'success', below: 140 },
+      { id: 'high', label: 'Above normal', level: 'warning', below: 200 },
+      { id: 'diabetes', label: 'Diabetes range', level: 'danger', below: Infinity }
+    ]
+  },
+  // Glucose levels that need immediate attention (severe hypo/hyperglycaemia)
+  GLUCOSE_CRISIS: { below: 54, above: 300 },
+  
+  classifyBloodPressure(systolic, diastolic) {
+    return this.BP_STAGES.find(stage => systolic >= stage.systolic || diastolic >= stage.diastolic);
+  },
+  
+  classifyGlucose(value, context = 'random') {
+    const ranges = this.GLUCOSE_RANGES[context] || this.GLUCOSE_RANGES.random;
+    return ranges.find(range => value < range.below);
+  },
+  
+  /**
+   * Crisis message for a single reading, or null
+   */
+  getBloodPressureAlert(systolic, diastolic) {
+    if (this.classifyBloodPressure(systolic, diastolic).id !== 'crisis') return null;
+    return `Blood pressure of ${systolic}/${diastolic} mmHg is in the hypertensive crisis range. Wait a few minutes and measure again. If it stays this high, or you have chest pain, shortness of breath, weakness or vision changes, call emergency services.`;
+  },
+  
+  getGlucoseAlert(value) {
+    if (value < this.GLUCOSE_CRISIS.below) {
+      return `Blood glucose of ${value} mg/dL is dangerously low. Take 15 g of fast-acting sugar now and re-check in 15 minutes; get emergency help if you feel confused or faint.`;
+    }
+    if (value > this.GLUCOSE_CRISIS.above) {
+      return `Blood glucose of ${value} mg/dL is very high. Follow your care plan, check for ketones if you can, and contact your doctor; get emergency help if you are vomiting or confused.`;
+    }
+    return null;
+  },
+  
+  /**
+   * Log one blood pressure reading. Returns the stored reading and the
+   * crisis alert (null if none), which is also sent as a notification.
+   */
+  async logBloodPressure({ systolic, diastolic, pulse, arm, position, timestamp = new Date().toISOString() }) {
+    if (Number(systolic) <= Number(diastolic)) {
+      throw new Error('Systolic pressure must be higher than diastolic pressure');
+    }
+    
+    const details = {};
+    if (arm) details.arm = arm;
+    if (position) details.position = position;
+    const values = { systolic, diastolic, pulse };
+    const readings = await StorageManager.addReadings(this.BP_METRICS
+      .filter(metric => values[metric] !== undefined && values[metric] !== null && values[metric] !== '')
+      .map(metric => ({ metric, value: values[metric], timestamp, details })));
+    
+    const [reading] = this.groupBloodPressure(readings);
+    const alert = this.getBloodPressureAlert(reading.systolic, reading.diastolic);
+    this.notify(alert);
+    await this.syncHealthData();
+    return { reading, alert };
+  },
+  
+  /**
+   * Log one glucose reading; returns it with its crisis alert (or null)
+   */
+  async logGlucose({ value, context = 'random', timestamp = new Date().toISOString() }) {
+    const reading = await StorageManager.addReading({ metric: 'glucose', value, timestamp, details: { context } });
+    const alert = this.getGlucoseAlert(reading.value);
+    this.notify(alert);
+    await this.syncHealthData();
+    return { reading, alert };
+  },
+  
+  notify(alert) {
+    if (alert && typeof NotificationManager !== 'undefined') {
+      NotificationManager.showHealthAlert(alert);
+    }
+  },
+  
+  /**
+   * Blood pressure readings of the last `days` days (oldest first) as
+   * { ids, date, timestamp, systolic, diastolic, pulse, arm, position, stage }
+   */
+  async getBloodPressureReadings(days = this.AVERAGE_DAYS) {
+    const today = DateUtils.today();
+    const readings = await StorageManager.getReadingsInRange(DateUtils.addDays(today, -(days - 1)), today);
+    return this.groupBloodPressure(readings.filter(reading => this.BP_METRICS.includes(reading.metric)));
+  },
+  
+  /**
+   * Merge the systolic/diastolic/pulse readings logged together
+   */
+  groupBloodPressure(readings) {
+    const byTimestamp = new Map();
+    readings.forEach(reading => {
+      if (!byTimestamp.has(reading.timestamp)) {
+        byTimestamp.set(reading.timestamp, {
+          ids: [],
+          date: reading.date,
+          timestamp: reading.timestamp,
+          timeZone: reading.timeZone,
+          ...reading.details
+        });
+      }
+      const group = byTimestamp.get(reading.timestamp);
+      group.ids.push(reading.id);
+      group[reading.metric] = reading.value;
+    });
+    
+    return [...byTimestamp.values()]
+      .filter(group => group.systolic !== undefined && group.diastolic !== undefined)
+      .map(group => ({ ...group, stage: this.classifyBloodPressure(group.systolic, group.diastolic) }));
+  },
+  
+  /**
+   * Glucose readings of the last `days` days (oldest first) as
+   * { id, date, timestamp, value, context, range }
+   */
+  async getGlucoseReadings(days = this.AVERAGE_DAYS) {
+    const today = DateUtils.today();
+    const readings = await StorageManager.getReadingsInRange(DateUtils.addDays(today, -(days - 1)), today, 'glucose');
+    return readings.map(reading => {
+      const context = (reading.details && reading.details.context) || 'random';
+      return {
+        id: reading.id,
+        date: reading.date,
+        timestamp: reading.timestamp,
+        timeZone: reading.timeZone,
+        value: reading.value,
+        context,
+        range: this.classifyGlucose(reading.value, context)
+      };
+    });
+  },
+  
+  /**
+   * Average of recent blood pressure readings and its stage, or null
+   * without readings
+   */
+  summarizeBloodPressure(readings) {
+    if (readings.length === 0) return null;
+    
+    const mean = metric => StorageManager.aggregate(readings.map(r => r[metric]).filter(v => v !== undefined), 'mean');
+    const systolic = Math.round(mean('systolic'));
+    const diastolic = Math.round(mean('diastolic'));
+    return {
+      systolic,
+      diastolic,
+      pulse: mean('pulse'),
+      count: readings.length,
+      stage: this.classifyBloodPressure(systolic, diastolic)
+    };
+  },
+  
+  /**
+   * Average of recent glucose readings per context, e.g.
+   * { fasting: { value, count, range } }
+   */
+  summarizeGlucose(readings) {
+    const summary = {};
+    Object.keys(this.GLUCOSE_CONTEXTS).forEach(context => {
+      const values = readings.filter(r => r.context === context).map(r => r.value);
+      if (values.length === 0) return;
+      const value = StorageManager.aggregate(values, 'mean');
+      summary[context] = { value, count: values.length, range: this.classifyGlucose(value, context) };
+    });
+    return summary;
+  },
+  
+  /**
+   * Inputs for MedicalAI's risk calculators from recent averages
+   * (only the values that have readings)
+   */
+  async getRiskInputs() {
+    const [bloodPressure, glucose] = await Promise.all([
+      this.getBloodPressureReadings().then(readings => this.summarizeBloodPressure(readings)),
+      this.getGlucoseReadings().then(readings => this.summarizeGlucose(readings))
+    ]);
+    
+    const inputs = {};
+    if (bloodPressure) {
+      inputs.systolicBP = bloodPressure.systolic;
+      inputs.diastolicBP = bloodPressure.diastolic;
+    }
+    if (glucose.fasting) {
+      inputs.fastingGlucose = glucose.fasting.value;
+    }
+    return inputs;
+  },
+  
+  /**
+   * Keep the account's healthData.bloodPressure and bloodGlucose (read
+   * by the risk calculators and chatbot) at the recent averages
+   */
+  async syncHealthData() {
+    if (typeof AuthSystem === 'undefined') return;
+    await AuthSystem.ready;
+    const user = AuthSystem.getCurrentUser();
+    if (!user) return;
+    
+    const inputs = await this.getRiskInputs();
+    const healthData = {};
+    if (inputs.systolicBP) {
+      healthData.bloodPressure = { systolic: inputs.systolicBP, diastolic: inputs.diastolicBP };
+    }
+    if (inputs.fastingGlucose) {
+      healthData.bloodGlucose = inputs.fastingGlucose;
+    }
+    AuthSystem.updateProfile(user.id, { healthData });
+  }
+};
+
+// Expose to window
+window.VitalSigns = VitalSigns;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VitalSigns;
+}
@@ -0,0 +1,234 @@
+// wearables.js - Google Fit and Fitbit import for Digital Health Tracker
+// Reads Google Takeout Fit and Fitbit account exports into daily entries
+
+/**
+ * Wearable Import
+ * Reads the files of a Google Takeout or Fitbit data export, chosen one
+ * by one or as the zip archives they download as:
+ *
+ * - Google Fit "Daily activity metrics.csv" from Takeout, one row per day.
+ *   The per-day interval CSVs next to it repeat the same data and are
+ *   skipped, as are the raw sample and session folders. Move Minutes
+ *   fill exercise, which the dry run leaves out on days with logged
+ *   workouts (see ImportManager.planImport).
+ * - Google Fit daily aggregate JSON (the Fitness API's dataset:aggregate
+ *   response, one bucket per day).
+ * - Fitbit steps-*, heart_rate-*, sleep-* and weight-*.json files. Steps
+ *   and heart rate are per-minute samples with UTC times, counted on the
+ *   local date they fall on here. Weight is in the Fitbit account's
+ *   units, which the export doesn't name, so weigh-ins are kept as
+ *   they are until the user picks the unit in the dry run (see
+ *   getEntries).
+ *
+ * Everything goes through ImportManager's collector, so a day with both
+ * Google Fit and Fitbit steps keeps the larger total rather than both,
+ * and then through the same dry run and save as CSV imports.
+ */
+const WearableImport = {
+  SOURCES: {
+    googleFit: 'Google Fit',
+    fitbit: 'Fitbit'
+  },
+  
+  // Google Fit daily metrics CSV columns and the field each fills
+  GOOGLE_FIT_COLUMNS: {
+    'Step count': { field: 'steps' },
+    'Average heart rate (bpm)': { field: 'heartRate' },
+    'Average weight (kg)': { field: 'weight' },
+    'Move Minutes count': { field: 'exercise' },
+    'Sleep duration (ms)': { field: 'sleep', scale: 1 / 3600000 }
+  },
+  
+  // Google Fit aggregate data types: the field each fills and the
+  // position and kind of its value
+  GOOGLE_FIT_TYPES: {
+    'com.google.step_count.delta': { field: 'steps', value: 'intVal' },
+    'com.google.heart_rate.summary': { field: 'heartRate', value: 'fpVal' },
+    'com.google.weight.summary': { field: 'weight', value: 'fpVal' },
+    'com.google.active_minutes': { field: 'exercise', value: 'intVal' },
+    'com.google.hydration': { field: 'water', value: 'fpVal', scale: 1000 }
+  },
+  
+  // Takeout folders of raw samples and sessions, which the daily
+  // metrics already cover
+  GOOGLE_FIT_RAW: /(?:^|\/)Fit\/(?:All data|All Sessions|Activities)\//,
+  
+  // Fitbit export files and the reader of each kind
+  FITBIT_FILES: /(?:^|\/)(steps|heart_rate|sleep|weight)-\d{4}-\d{2}-\d{2}\.json$/,
+  FITBIT_READERS: {
+    steps: 'readFitbitSteps',
+    heart_rate: 'readFitbitHeartRate',
+    sleep: 'readFitbitSleep',
+    weight: 'readFitbitWeight'
+  },
+  
+  /**
+   * Read the chosen files (and the files inside any zip) into a
+   * collector (see ImportManager.createCollector) and Fitbit
+   * `weighIns`, with `files` counting the files read per source and
+   * `ignored` the ones not recognized. getEntries turns the result into
+   * daily entries. `onProgress` gets the fraction of files read (0-1).
+   */
+  async parseFiles(files, onProgress = () => {}) {
+    const sources = [];
+    for (const file of files) {
+      if (await ImportManager.isZip(file)) {
+        (await ImportManager.listZip(file))
+          .filter(entry => !entry.name.endsWith('/'))
+          .forEach(entry => sources.push({ name: entry.name, read: () => ImportManager.readZipText(file, entry) }));
+      } else {
+        sources.push({ name: file.webkitRelativePath || file.name, read: () => file.text() });
+      }
+    }
+    
+    const collector = ImportManager.createCollector();
+    const weighIns = [];
+    const counts = { googleFit: 0, fitbit: 0 };
+    let ignored = 0;
+    for (const [index, source] of sources.entries()) {
+      const reader = this.getReader(source.name);
+      let read = false;
+      if (reader) {
+        try {
+          read = this[reader](collector, await source.read(), weighIns) !== false;
+        } catch (error) {
+          console.warn(`[Import] Skipped ${source.name}:`, error);
+        }
+      }
+      if (read) {
+        counts[reader.includes('Fitbit') ? 'fitbit' : 'googleFit']++;
+      } else {
+        ignored++;
+      }
+      onProgress((index + 1) / sources.length);
+      // Let the page update between files
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    if (counts.googleFit + counts.fitbit === 0) {
+      throw new Error('No Google Fit or Fitbit data found in these files');
+    }
+    return { collector, weighIns, files: counts, ignored };
+  },
+  
+  /**
+   * Daily entries of a parseFiles result (see
+   * ImportManager.finishCollector), with its Fitbit weigh-ins read as
+   * `weightUnit` (one of ImportManager.getUnits('weight')). The result
+   * is left as it was, so the unit can be changed and read again.
+   */
+  getEntries({ collector, weighIns, files, ignored }, weightUnit) {
+    const withWeights = structuredClone(collector);
+    weighIns.forEach(({ date, weight, time }) => {
+      ImportManager.collect(withWeights, date, 'weight', ImportManager.toCanonical('weight', weight, weightUnit), {
+        source: this.SOURCES.fitbit,
+        time
+      });
+    });
+    return { ...ImportManager.finishCollector(withWeights), files, ignored };
+  },
+  
+  /**
+   * Name of the reader method for a file, or null to skip it. Other JSON
+   * files are tried as aggregate responses, whatever they are named.
+   */
+  getReader(name) {
+    const fitbit = name.match(this.FITBIT_FILES);
+    if (fitbit) return this.FITBIT_READERS[fitbit[1]];
+    if (/(?:^|\/)Daily activity metrics\.csv$/i.test(name)) return 'readGoogleFitCSV';
+    if (/\.json$/i.test(name) && !this.GOOGLE_FIT_RAW.test(name)) return 'readGoogleFitJSON';
+    return null;
+  },
+  
+  /**
+   * YYYY-MM-DD of a Fitbit date ('03/09/24'), or null
+   */
+  parseFitbitDate(value) {
+    const match = String(value).match(/^(\d{2})\/(\d{2})\/(\d{2})$/);
+    return match ? ImportManager.parseDate(`20${match[3]}-${match[1]}-${match[2]}`, 'YYYY-MM-DD') : null;
+  },
+  
+  /**
+   * Local YYYY-MM-DD of a Fitbit sample time ('03/09/24 07:31:00', UTC),
+   * or null
+   */
+  parseFitbitTime(value) {
+    const [date, time] = String(value).split(' ');
+    const key = this.parseFitbitDate(date);
+    if (!key || !/^\d{2}:\d{2}:\d{2}$/.test(time)) return null;
+    return DateUtils.toKey(new Date(`${key}T${time}Z`));
+  },
+  
+  readGoogleFitCSV(collector, text) {
+    const [headers, ...rows] = ImportManager.parseCSV(text);
+    const dateColumn = headers.indexOf('Date');
+    if (dateColumn === -1) throw new Error('No Date column');
+    
+    headers.forEach((header, column) => {
+      const spec = this.GOOGLE_FIT_COLUMNS[header];
+      if (!spec) return;
+      rows.forEach(cells => {
+        const cell = (cells[column] || '').trim();
+        if (cell === '') return;
+        ImportManager.collect(collector, ImportManager.parseDate(cells[dateColumn], 'YYYY-MM-DD'), spec.field,
+          Number(cell) * (spec.scale || 1), { source: this.SOURCES.googleFit });
+      });
+    });
+  },
+  
+  // Returns false for JSON that isn't an aggregate response
+  readGoogleFitJSON(collector, text) {
+    const { bucket } = JSON.parse(text);
+    if (!Array.isArray(bucket)) return false;
+    
+    bucket.forEach(({ startTimeMillis, dataset = [] }) => {
+      const date = DateUtils.toKey(new Date(Number(startTimeMillis)));
+      dataset.forEach(({ point = [] }) => point.forEach(({ dataTypeName, value = [] }) => {
+        const spec = this.GOOGLE_FIT_TYPES[dataTypeName];
+        if (!spec || value.length === 0) return;
+        ImportManager.collect(collector, date, spec.field, Number(value[0][spec.value]) * (spec.scale || 1), {
+          source: this.SOURCES.googleFit,
+          time: Number(startTimeMillis)
+        });
+      }));
+    });
+  },
+  
+  readFitbitSteps(collector, text) {
+    JSON.parse(text).forEach(({ dateTime, value }) => {
+      ImportManager.collect(collector, this.parseFitbitTime(dateTime), 'steps', Number(value), { source: this.SOURCES.fitbit });
+    });
+  },
+  
+  readFitbitHeartRate(collector, text) {
+    JSON.parse(text).forEach(({ dateTime, value }) => {
+      ImportManager.collect(collector, this.parseFitbitTime(dateTime), 'heartRate', Number(value && value.bpm), {
+        source: this.SOURCES.fitbit
+      });
+    });
+  },
+  
+  // Sleep logs (naps included) add up on the night's date
+  readFitbitSleep(collector, text) {
+    JSON.parse(text).forEach(({ dateOfSleep, minutesAsleep }) => {
+      ImportManager.collect(collector, dateOfSleep, 'sleep', Number(minutesAsleep) / 60, { source: this.SOURCES.fitbit });
+    });
+  },
+  
+  // Weigh-ins carry the local date and time they were logged; their
+  // weight stays in the export's unit (see getEntries)
+  readFitbitWeight(collector, text, weighIns) {
+    JSON.parse(text).forEach(({ weight, date, time = '00:00:00' }) => {
+      const day = this.parseFitbitDate(date);
+      weighIns.push({ date: day, weight: Number(weight), time: day ? Date.parse(`${day}T${time}`) : NaN });
+    });
+  }
+};
+
+// Expose to window
+window.WearableImport = WearableImport;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WearableImport;
+}
@@ -0,0 +1,262 @@
+// workouts.js - Workout log for Digital Health Tracker
+// Sessions with duration and exertion, MET-based energy and weekly active minutes
+
+/**
+ * Workout Log
+ * Each workout is an 'exercise' reading (minutes) and, when the user's
+ * weight is known, a 'caloriesBurned' reading, added together so they
+ * are undone as one change. Both share a `workoutId` in their details
+ * with the activity, exertion, MET and optional distance and heart rate.
+ *
+ * Energy uses the ACSM equation kcal/min = MET x 3.5 x kg / 200, with
+ * MET values from the Compendium of Physical Activities picked by the
+ * perceived exertion (RPE, 1-10). Workouts of 3-6 MET are moderate and
+ * 6+ MET vigorous; a vigorous minute counts as two towards WHO's
+ * 150 minutes of moderate activity a week.
+ */
+const WorkoutLog = {
+  ACTIVITIES: {
+    walking: { label: 'Walking', met: { light: 2.8, moderate: 3.5, vigorous: 5.0 }, distance: true },
+    running: { label: 'Running', met: { light: 7.0, moderate: 9.8, vigorous: 11.5 }, distance: true },
+    cycling: { label: 'Cycling', met: { light: 4.0, moderate: 6.8, vigorous: 10.0 }, distance: true },
+    swimming: { label: 'Swimming', met: { light: 5.8, moderate: 7.0, vigorous: 9.8 }, distance: true },
+    hiking: { label: 'Hiking', met: { light: 5.3, moderate: 6.0, vigorous: 7.8 }, distance: true },
+    yoga: { label: 'Yoga', met: { light: 2.5, moderate: 3.0, vigorous: 4.0 }, distance: false },
+    strength: { label: 'Strength training', met: { light: 3.5, moderate: 5.0, vigorous: 6.0 }, distance: false },
+    hiit: { label: 'HIIT / circuit training', met: { light: 4.3, moderate: 8.0, vigorous: 10.0 }, distance: false },
+    dancing: { label: 'Dancing', met: { light: 4.5, moderate: 5.5, vigorous: 7.3 }, distance: false },
+    badminton: { label: 'Badminton', met: { light: 4.5, moderate: 5.5, vigorous: 7.0 }, distance: false },
+    cricket: { label: 'Cricket', met: { light: 4.0, moderate: 4.8, vigorous: 6.0 }, distance: false },
+    football: { label: 'Football', met: { light: 7.0, moderate: 8.0, vigorous: 10.0 }, distance: false },
+    other: { label: 'Other', met: { light: 3.0, moderate: 4.5, vigorous: 6.0 }, distance: false }
+  },
+  // Highest RPE of each effort level; above the last is vigorous
+  EFFORT_RPE: { light: 3, moderate: 6 },
+  INTENSITIES: {
+    light: 'Light',
+    moderate: 'Moderate',
+    vigorous: 'Vigorous'
+  },
+  // MET thresholds of moderate and vigorous intensity
+  MODERATE_MET: 3,
+  VIGOROUS_MET: 6,
+  // WHO weekly target of moderate activity (or half as much vigorous)
+  WEEKLY_TARGET: 150,
+  // Longest single workout accepted, in minutes
+  MAX_DURATION: 1440,
+  // Days covered by the workout report, and weeks in its weekly chart
+  REPORT_DAYS: 30,
+  REPORT_WEEKS: 8,
+  
+  /**
+   * Effort level ('light', 'moderate' or 'vigorous') for an RPE of 1-10
+   */
+  getEffort(exertion) {
+    if (exertion <= this.EFFORT_RPE.light) return 'light';
+    if (exertion <= this.EFFORT_RPE.moderate) return 'moderate';
+    return 'vigorous';
+  },
+  
+  getMet(activity, exertion) {
+    return this.ACTIVITIES[activity].met[this.getEffort(exertion)];
+  },
+  
+  /**
+   * Intensity class of a MET value
+   */
+  getIntensity(met) {
+    if (met >= this.VIGOROUS_MET) return 'vigorous';
+    if (met >= this.MODERATE_MET) return 'moderate';
+    return 'light';
+  },
+  
+  /**
+   * Energy burned in kcal (ACSM metabolic equation)
+   */
+  getCaloriesBurned(met, weight, durationMinutes) {
+    return Math.round(met * 3.5 * weight / 200 * durationMinutes);
+  },
+  
+  /**
+   * The user's weight in kg from their profile (kept at the latest
+   * weigh-in by BodyComposition), or null
+   */
+  async getWeight() {
+    if (typeof AuthSystem !== 'undefined') {
+      await AuthSystem.ready;
+      const user = AuthSystem.getCurrentUser();
+      if (user && user.profile && user.profile.weight) return user.profile.weight;
+    }
+    const profile = await StorageManager.getUserProfile();
+    return profile.weight || null;
+  },
+  
+  /**
+   * Log a workout that started at `timestamp`. Distance (km) and
+   * average heart rate are optional. Without a known weight no
+   * calories burned are logged.
+   */
+  async logWorkout({ activity, timestamp = new Date().toISOString(), durationMinutes, exertion, distance = null, heartRate = null, notes = '' }) {
+    if (!this.ACTIVITIES[activity]) {
+      throw new Error(`Unknown activity: ${activity}`);
+    }
+    const duration = Math.round(Number(durationMinutes));
+    if (!(duration > 0 && duration <= this.MAX_DURATION)) {
+      throw new Error(`Duration must be between 1 and ${this.MAX_DURATION} minutes`);
+    }
+    const rpe = Number(exertion);
+    if (!Number.isInteger(rpe) || rpe < 1 || rpe > 10) {
+      throw new Error('Perceived exertion must be a whole number from 1 to 10');
+    }
+    const km = distance === null || distance === '' ? null : Number(distance);
+    if (km !== null && !(km > 0)) {
+      throw new Error('Distance must be more than zero');
+    }
+    if (heartRate !== null && heartRate !== '') {
+      const error = EntryValidator.validateField('heartRate', heartRate).issues.find(issue => issue.severity === 'error');
+      if (error) {
+        throw new Error(error.message);
+      }
+    }
+    
+    const met = this.getMet(activity, rpe);
+    const details = {
+      workoutId: StorageManager.generateId(),
+      activity,
+      exertion: rpe,
+      met,
+      intensity: this.getIntensity(met)
+    };
+    if (km !== null) details.distance = km;
+    if (heartRate !== null && heartRate !== '') details.heartRate = Math.round(Number(heartRate));
+    if (String(notes).trim()) details.notes = String(notes).trim();
+    
+    const weight = await this.getWeight();
+    const readings = [{ metric: 'exercise', value: duration, timestamp, details }];
+    if (weight) {
+      readings.push({ metric: 'caloriesBurned', value: this.getCaloriesBurned(met, weight, duration), timestamp, details });
+    }
+    return this.toWorkouts(await StorageManager.addReadings(readings))[0];
+  },
+  
+  /**
+   * Group readings into workouts (oldest first):
+   * [{ id, ids, date, timestamp, activity, label, durationMinutes, exertion,
+   *    met, intensity, caloriesBurned, distance, heartRate, notes }]
+   */
+  toWorkouts(readings) {
+    const workouts = new Map();
+    readings.filter(reading => reading.details && reading.details.workoutId).forEach(reading => {
+      const details = reading.details;
+      if (!workouts.has(details.workoutId)) {
+        workouts.set(details.workoutId, {
+          id: details.workoutId,
+          ids: [],
+          date: reading.date,
+          timestamp: reading.timestamp,
+          timeZone: reading.timeZone,
+          activity: details.activity,
+          label: this.ACTIVITIES[details.activity] ? this.ACTIVITIES[details.activity].label : details.activity,
+          durationMinutes: 0,
+          exertion: details.exertion,
+          met: details.met,
+          intensity: details.intensity,
+          caloriesBurned: null,
+          distance: details.distance ?? null,
+          heartRate: details.heartRate ?? null,
+          notes: details.notes || ''
+        });
+      }
+      const workout = workouts.get(details.workoutId);
+      workout.ids.push(reading.id);
+      if (reading.metric === 'exercise') workout.durationMinutes = reading.value;
+      if (reading.metric === 'caloriesBurned') workout.caloriesBurned = reading.value;
+    });
+    return [...workouts.values()];
+  },
+  
+  /**
+   * Workouts between two dates inclusive (oldest first)
+   */
+  async getWorkouts(startDate, endDate) {
+    const readings = await StorageManager.getReadingsInRange(startDate, endDate);
+    return this.toWorkouts(readings).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  },
+  
+  /**
+   * Remove a workout (its minutes and calories) as one change
+   */
+  async deleteWorkout(workout) {
+    return StorageManager.deleteReadings(workout.ids);
+  },
+  
+  /**
+   * Minutes per intensity over a set of workouts, and the WHO
+   * moderate-equivalent minutes (vigorous minutes count double)
+   */
+  getActiveMinutes(workouts) {
+    const minutes = { light: 0, moderate: 0, vigorous: 0 };
+    workouts.forEach(workout => {
+      minutes[workout.intensity] += workout.durationMinutes;
+    });
+    const equivalent = minutes.moderate + minutes.vigorous * 2;
+    return {
+      ...minutes,
+      total: minutes.light + minutes.moderate + minutes.vigorous,
+      equivalent,
+      percentOfTarget: Math.round(equivalent / this.WEEKLY_TARGET * 100)
+    };
+  },
+  
+  /**
+   * Active minutes of each of the last `weeks` weeks (oldest first,
+   * the current week last): [{ weekStart, ...getActiveMinutes }]
+   */
+  getWeeklyMinutes(workouts, weeks = this.REPORT_WEEKS) {
+    const thisWeek = DateUtils.startOfWeek(DateUtils.today());
+    return Array.from({ length: weeks }, (_, index) => {
+      const weekStart = DateUtils.addDays(thisWeek, (index - (weeks - 1)) * 7);
+      const weekEnd = DateUtils.addDays(weekStart, 6);
+      return {
+        weekStart,
+        ...this.getActiveMinutes(workouts.filter(workout => workout.date >= weekStart && workout.date <= weekEnd))
+      };
+    });
+  },
+  
+  /**
+   * Recent workouts, weekly active minutes and today's minutes against
+   * the daily exercise goal, for the workouts page
+   */
+  async getReport(days = this.REPORT_DAYS) {
+    const today = DateUtils.today();
+    const weeksStart = DateUtils.addDays(DateUtils.startOfWeek(today), -(this.REPORT_WEEKS - 1) * 7);
+    const startDate = [weeksStart, DateUtils.addDays(today, -(days - 1))].sort()[0];
+    const [workouts, goals] = await Promise.all([
+      this.getWorkouts(startDate, today),
+      StorageManager.getGoals()
+    ]);
+    const recentStart = DateUtils.addDays(today, -(days - 1));
+    const todayWorkouts = workouts.filter(workout => workout.date === today);
+    const weekly = this.getWeeklyMinutes(workouts);
+    
+    return {
+      workouts: workouts.filter(workout => workout.date >= recentStart),
+      weekly,
+      thisWeek: weekly[weekly.length - 1],
+      today: {
+        minutes: todayWorkouts.reduce((sum, workout) => sum + workout.durationMinutes, 0),
+        caloriesBurned: todayWorkouts.reduce((sum, workout) => sum + (workout.caloriesBurned || 0), 0),
+        goal: goals.exercise || null
+      }
+    };
+  }
+};
+
+// Expose to window
+window.WorkoutLog = WorkoutLog;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkoutLog;
+}
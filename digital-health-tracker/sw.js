@@ -1,7 +1,7 @@
 // Service Worker for Digital Health Tracker
 // Provides offline functionality and caching
 
-const CACHE_NAME = 'health-tracker-v1';
+const CACHE_NAME = 'health-tracker-v20';
 const RUNTIME_CACHE = 'health-tracker-runtime';
 
 // Core files to cache on install
@@ -10,17 +10,41 @@ const PRECACHE_URLS = [
   '/index.html',
   '/dashboard.html',
   '/summary.html',
+  '/search.html',
+  '/food.html',
+  '/workouts.html',
+  '/weight.html',
+  '/vitals.html',
+  '/medications.html',
+  '/symptoms.html',
   '/doctor.html',
   '/settings.html',
   '/about.html',
   '/styles.css',
   '/assets/js/main.js',
+  '/assets/js/dates.js',
+  '/assets/js/units.js',
+  '/assets/js/validation.js',
+  '/assets/js/crypto.js',
   '/assets/js/storage.js',
   '/assets/js/dashboard.js',
   '/assets/js/export.js',
+  '/assets/js/import.js',
+  '/assets/js/apple-health.js',
+  '/assets/js/wearables.js',
+  '/assets/js/fhir.js',
   '/assets/js/notifications.js',
   '/assets/js/recommendations.js',
+  '/assets/js/medical-ai.js',
+  '/assets/js/body-composition.js',
+  '/assets/js/vitals.js',
+  '/assets/js/medications.js',
+  '/assets/js/symptoms.js',
+  '/assets/js/food-log.js',
+  '/assets/js/workouts.js',
+  '/assets/js/search.js',
   '/data/default.json',
+  '/data/foods.json',
   '/offline.html'
 ];
 